@@ -0,0 +1,21 @@
+// Response cache (services/cacheService.js). `memory` is a bounded LRU per
+// process; `mongo` shares entries between instances (serverless functions).
+// Lifetimes are per area: an entry is fresh for `ttl` ms, then served stale for
+// `staleTtl` more ms while it is refreshed in the background (stale-while-revalidate).
+// Entries are tagged (news:latest, games:top, feeds:ign...) and ingestion,
+// retention and relinking invalidate only the tags they affect.
+
+const duration = parseInt(process.env.CACHE_DURATION_MS);
+
+module.exports = {
+  backend: process.env.CACHE_BACKEND || 'memory',
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+  areas: {
+    news: { ttl: duration || 60000, staleTtl: 0 },
+    // Syndication feeds are polled by readers: a stale feed beats a slow one
+    feed: { ttl: duration || 60000, staleTtl: parseInt(process.env.FEED_STALE_MS) || 10 * 60 * 1000 },
+    games: { ttl: duration || 300000, staleTtl: 0 },
+    // Live source feeds are downloaded from the outlet on a miss
+    feeds: { ttl: parseInt(process.env.FEED_CACHE_MS) || 2 * 60 * 1000, staleTtl: parseInt(process.env.FEED_STALE_MS) || 10 * 60 * 1000 }
+  }
+};
@@ -0,0 +1,110 @@
+// Rules of the news classifier. Every tag lists weighted patterns (case-insensitive
+// regular expressions) matched against the title and the description; a tag is
+// assigned when the summed weight reaches `threshold`. Negative weights veto
+// misleading matches. `category` maps a tag to the legacy single category,
+// the highest scoring mapped tag wins.
+// Changing anything here changes the rules version: run POST /api/news/reclassify
+// afterwards so stored news pick up the new tags.
+
+module.exports = {
+  // Matches in the description count less than in the title
+  fields: { title: 1, description: 0.5 },
+  threshold: 1,
+  tags: [
+    {
+      tag: 'rumor',
+      category: 'rumors',
+      patterns: [
+        { pattern: 'rumou?r', weight: 2 },
+        { pattern: 'слух', weight: 2 },
+        { pattern: '\\bleak(s|ed)?\\b', weight: 1.5 },
+        { pattern: '\\b(reportedly|insider|allegedly)\\b', weight: 1 },
+        { pattern: '\\b(debunk(s|ed)?|denie[sd]|fake)\\b', weight: -3 }
+      ]
+    },
+    {
+      tag: 'poll',
+      category: 'polls',
+      patterns: [
+        { pattern: '\\bpoll\\b', weight: 2.5 },
+        { pattern: 'опрос', weight: 2.5 },
+        { pattern: '\\b(vote|survey)\\b', weight: 1 }
+      ]
+    },
+    {
+      tag: 'announcement',
+      category: 'soon',
+      patterns: [
+        { pattern: 'announc', weight: 1.5 },
+        { pattern: 'анонс', weight: 1.5 },
+        { pattern: '\\b(revealed?|unveil(s|ed)?)\\b', weight: 1 },
+        { pattern: '\\brelease date\\b', weight: 1 },
+        { pattern: '\\b(coming|launches) (to|on|in)\\b', weight: 0.5 }
+      ]
+    },
+    {
+      tag: 'review',
+      category: 'recommendations',
+      patterns: [
+        { pattern: '\\breview(s|ed)?\\b', weight: 2 },
+        { pattern: 'обзор', weight: 2 },
+        { pattern: '\\b\\d+(\\.\\d)?\\s*(/|out of)\\s*10\\b', weight: 1 },
+        { pattern: '\\breview (bomb|embargo)', weight: -2 }
+      ]
+    },
+    {
+      tag: 'recommendation',
+      category: 'recommendations',
+      patterns: [
+        { pattern: 'recommend', weight: 1.5 },
+        { pattern: 'рекоменд', weight: 1.5 },
+        { pattern: '\\b(best|top \\d+|must-play)\\b', weight: 1 }
+      ]
+    },
+    {
+      tag: 'trailer',
+      category: 'soon',
+      patterns: [
+        { pattern: '\\btrailers?\\b', weight: 2 },
+        { pattern: 'трейлер', weight: 2 },
+        { pattern: '\\bgameplay (video|footage)\\b', weight: 1 }
+      ]
+    },
+    {
+      tag: 'deal',
+      patterns: [
+        { pattern: '\\bdeals?\\b', weight: 1.5 },
+        { pattern: '\\b(discount|sale|price cut|cheapest)\\b', weight: 1.5 },
+        { pattern: '\\b\\d+% off\\b', weight: 1.5 },
+        { pattern: 'скидк', weight: 1.5 },
+        { pattern: '\\bfree\\b', weight: 0.5 }
+      ]
+    },
+    {
+      tag: 'hardware',
+      patterns: [
+        { pattern: '\\b(console|gpu|graphics card|cpu|controller|headset|handheld|monitor)s?\\b', weight: 1 },
+        { pattern: '\\b(ps5 pro|switch 2|steam deck|xbox series|rtx \\d{4}|radeon)\\b', weight: 1.5 },
+        { pattern: '\\b(teardown|benchmark|specs?)\\b', weight: 1 }
+      ]
+    },
+    {
+      tag: 'esports',
+      patterns: [
+        { pattern: '\\be-?sports?\\b', weight: 2 },
+        { pattern: 'киберспорт', weight: 2 },
+        { pattern: '\\b(tournament|championship|grand final|major|league)\\b', weight: 1 },
+        { pattern: '\\b(valorant|counter-strike|cs2|dota 2|league of legends)\\b', weight: 0.5 }
+      ]
+    },
+    {
+      tag: 'update',
+      category: 'update',
+      patterns: [
+        { pattern: '\\b(patch|hotfix|update)\\b', weight: 1 },
+        { pattern: '\\bpatch notes\\b', weight: 1 },
+        { pattern: 'обновлени', weight: 1 }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,21 @@
+// Games news items are linked to besides the review catalogue, with the other
+// names headlines use for them. An entry whose title matches a reviewed game
+// (see gameKey in src/utils/reviews.js) only adds names to it; other entries
+// become games without reviews. One-word names ("Control", "Prey") are
+// ambiguous in headlines and are only matched when they are listed here.
+// After editing call POST /api/v1/games/relink so stored news are linked again.
+
+module.exports = [
+  { title: 'Hollow Knight: Silksong', names: ['Silksong'] },
+  { title: 'Grand Theft Auto VI', names: ['GTA 6', 'GTA VI'] },
+  { title: 'Grand Theft Auto V', names: ['GTA 5', 'GTA V', 'GTA Online'] },
+  { title: 'The Elder Scrolls VI', names: ['Elder Scrolls 6'] },
+  { title: 'The Witcher 4', names: [] },
+  { title: 'Elden Ring Nightreign', names: ['Nightreign'] },
+  { title: 'Metroid Prime 4: Beyond', names: ['Metroid Prime 4'] },
+  { title: 'Death Stranding 2: On the Beach', names: ['Death Stranding 2'] },
+  { title: "Marvel's Wolverine", names: [] },
+  { title: 'Minecraft', names: [] },
+  { title: 'Fortnite', names: [] },
+  { title: 'Hades', names: [] }
+];
@@ -0,0 +1,34 @@
+// Cache-Control of API responses, applied per route by middleware/httpCache.js
+// together with ETag and Last-Modified, so clients and the Vercel edge can
+// revalidate with If-None-Match / If-Modified-Since and get a 304.
+// Each policy can be replaced with HTTP_CACHE_<NAME>, e.g.
+// HTTP_CACHE_TOP_GAMES="public, max-age=60, s-maxage=60".
+// Responses that depend on the client's region (outlets restricted to some
+// regions in config/sources.js are hidden or answer 403 elsewhere) are
+// `private`: a shared cache keys on the URL alone and would hand one region's
+// response to the other. Only region-independent responses carry s-maxage.
+// Error responses are never cached.
+
+const policies = {
+  // /news/latest, /news/search, /news/latest-by-date, /news/sources
+  news: 'private, max-age=60, stale-while-revalidate=300',
+  // /news/feed*, polled by feed readers
+  feed: 'private, max-age=300, stale-while-revalidate=600',
+  // /games/top: ranked from reviews, the same everywhere
+  topGames: 'public, max-age=300, s-maxage=300, stale-while-revalidate=600',
+  // /games/:id and /games/:id/news list news of the client's region
+  gameDetails: 'private, max-age=300, stale-while-revalidate=600',
+  // /feeds/:source of outlets available everywhere
+  feeds: 'public, max-age=120, s-maxage=120, stale-while-revalidate=600',
+  // /feeds/:source of region-restricted outlets
+  regionalFeeds: 'private, max-age=120, stale-while-revalidate=600',
+  // /news/article: scraped once and stored
+  article: 'public, max-age=3600, s-maxage=86400',
+  // Admin and per-key responses
+  private: 'private, no-store'
+};
+
+const envName = name => `HTTP_CACHE_${name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+
+module.exports = Object.fromEntries(Object.entries(policies)
+  .map(([name, value]) => [name, process.env[envName(name)] || value]));
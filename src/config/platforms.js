@@ -0,0 +1,39 @@
+// Platforms news items are tagged with. `patterns` (case-insensitive regular
+// expressions) are matched against the title, the description and the feed's
+// categories; `names` are compared with whole feed categories and URL path
+// segments ("/switch/", "/xbox-series-x/"). Sources covering one platform only
+// declare it in src/config/sources.js (`platforms`).
+
+module.exports = [
+  {
+    id: 'playstation',
+    name: 'PlayStation',
+    patterns: ['\\bps ?[345]\\b', '\\bplaystation\\b', '\\bps ?(vr ?2?|plus|portal)\\b', '\\bdualsense\\b'],
+    names: ['playstation', 'playstation 5', 'playstation 4', 'ps5', 'ps4', 'ps vr2', 'psvr2']
+  },
+  {
+    id: 'xbox',
+    name: 'Xbox',
+    patterns: ['\\bxbox\\b', '\\bgame ?pass\\b'],
+    names: ['xbox', 'xbox series x', 'xbox series s', 'xbox series x s', 'xbox one']
+  },
+  {
+    id: 'switch',
+    name: 'Nintendo Switch',
+    // A bare "switch" is too common a word in headlines
+    patterns: ['\\bnintendo switch\\b', '\\bswitch (2|oled|lite|online)\\b', '\\bjoy-?cons?\\b', '\\beshop\\b'],
+    names: ['switch', 'switch 2', 'nintendo switch', 'nintendo switch 2', 'nintendo']
+  },
+  {
+    id: 'pc',
+    name: 'PC',
+    patterns: ['\\bpc\\b', '\\bsteam\\b', '\\bsteam deck\\b', '\\bepic games store\\b', '\\bgog\\b', '\\bwindows\\b'],
+    names: ['pc', 'pc gaming', 'steam', 'steam deck']
+  },
+  {
+    id: 'mobile',
+    name: 'Mobile',
+    patterns: ['\\bmobile\\b', '\\bios\\b', '\\bandroid\\b', '\\biphone\\b', '\\bipad\\b', '\\bapp store\\b', '\\bgoogle play\\b'],
+    names: ['mobile', 'ios', 'android', 'iphone']
+  }
+];
@@ -0,0 +1,46 @@
+// Rate limits, applied by middleware/rateLimit.js to every API route.
+// A client is an API key, or the IP address for requests without one; its tier
+// is the key's `tier` (anonymous without a key, internal for ADMIN_API_KEY and
+// CRON_SECRET). Each route group counts requests apart, so cheap cached reads
+// do not use up the budget of the article scraper.
+// `limits` are requests per `windowMs` for each tier; null means unlimited.
+// The first group whose `paths` prefix the request path (after /api/v1) applies.
+
+const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+const defaultLimit = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 10000;
+
+const TIERS = ['anonymous', 'standard', 'premium', 'internal'];
+// Tiers that can be given to stored API keys
+const KEY_TIERS = ['standard', 'premium'];
+
+const groups = [
+  {
+    name: 'article',
+    paths: ['/news/article'],
+    limits: { anonymous: 30, standard: 300, premium: 3000, internal: null }
+  },
+  {
+    name: 'search',
+    paths: ['/news/search'],
+    limits: { anonymous: 300, standard: 3000, premium: 30000, internal: null }
+  },
+  {
+    name: 'admin',
+    paths: ['/news/fetch', '/news/retention', '/news/reclassify', '/games/relink', '/subscriptions', '/keys', '/rate-limits', '/cache'],
+    limits: { anonymous: 30, standard: 300, premium: 300, internal: null }
+  },
+  {
+    name: 'default',
+    paths: ['/'],
+    limits: { anonymous: defaultLimit, standard: defaultLimit * 5, premium: defaultLimit * 50, internal: null }
+  }
+];
+
+module.exports = {
+  windowMs,
+  // mongo shares counters between instances; memory is per process
+  store: process.env.RATE_LIMIT_STORE || 'mongo',
+  TIERS,
+  KEY_TIERS,
+  groups
+};
@@ -0,0 +1,15 @@
+// Retention policies for stored news, applied by the retention job
+// (services/retentionService.js), never during ingestion.
+// A policy scopes itself with optional `source` and/or `category` and sets
+// `maxAgeDays` (drop items published earlier) and/or `maxItems` (keep only the
+// newest N in scope). Policies are independent: an item is removed as soon as
+// any policy covering it says so. For example
+//   { category: 'rumors', maxAgeDays: 14 }
+//   { source: 'kotaku', maxItems: 200 }
+
+const maxItems = parseInt(process.env.MAX_NEWS_LIMIT) || 1000;
+const maxAgeDays = parseInt(process.env.NEWS_MAX_AGE_DAYS) || null;
+
+module.exports = [
+  { maxItems, ...(maxAgeDays && { maxAgeDays }) }
+];
@@ -0,0 +1,69 @@
+// Registry of news outlets. Adding an outlet means adding one entry here:
+// feeds are resolved from the listed env vars (`NAME` or `NAME_URL`),
+// `regions` limits where the outlet is shown (omit for everywhere),
+// `tags` on a feed are always assigned to its items and `category` is used
+// when the classifier (src/config/classifier.js) maps no tag to a category.
+// `platforms` are assigned to every item of an outlet covering only those
+// platforms (see src/config/platforms.js).
+// Article body extraction rules live in src/extractors/<id>.js.
+
+module.exports = [
+  {
+    id: 'ign',
+    name: 'IGN',
+    domains: ['ign.com'],
+    feeds: [
+      { kind: 'news', env: 'IGN_NEWS_FEED' },
+      { kind: 'reviews', env: 'IGN_REVIEWS_FEED', category: 'recommendations', tags: ['review'] }
+    ]
+  },
+  {
+    id: 'gamespot',
+    name: 'GameSpot',
+    domains: ['gamespot.com'],
+    feeds: [
+      { kind: 'news', env: 'GAMESPOT_NEWS_FEED' },
+      { kind: 'reviews', env: 'GAMESPOT_REVIEWS_FEED', category: 'recommendations', tags: ['review'] }
+    ]
+  },
+  {
+    id: 'polygon',
+    name: 'Polygon',
+    domains: ['polygon.com'],
+    regions: ['EU'],
+    feeds: [{ kind: 'news', env: 'POLYGON_FEED' }]
+  },
+  {
+    id: 'kotaku',
+    name: 'Kotaku',
+    domains: ['kotaku.com'],
+    feeds: [{ kind: 'news', env: 'KOTAKU_FEED' }]
+  },
+  {
+    id: 'eurogamer',
+    name: 'Eurogamer',
+    domains: ['eurogamer.net'],
+    feeds: [{ kind: 'news', env: 'EUROGAMER_FEED' }]
+  },
+  {
+    id: 'pcgamer',
+    name: 'PC Gamer',
+    domains: ['pcgamer.com'],
+    platforms: ['pc'],
+    feeds: [{ kind: 'news', env: 'PCGAMER_FEED' }]
+  },
+  {
+    id: 'gamerant',
+    name: 'Game Rant',
+    domains: ['gamerant.com'],
+    regions: ['EU'],
+    feeds: [{ kind: 'news', env: 'GAMERANT_FEED' }]
+  },
+  {
+    id: 'thegamer',
+    name: 'TheGamer',
+    domains: ['thegamer.com'],
+    regions: ['EU'],
+    feeds: [{ kind: 'news', env: 'THEGAMER_FEED' }]
+  }
+];
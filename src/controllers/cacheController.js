@@ -0,0 +1,36 @@
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+const { success } = require('../utils/response');
+const { toList } = require('../utils/query');
+const cacheService = require('../services/cacheService');
+
+class CacheController {
+  // Hit, stale and miss counts per area, with the backend's size
+  getStats = async (req, res, next) => {
+    try {
+      res.json(success(await cacheService.getStats()));
+    } catch (error) {
+      logger.error('Error fetching cache stats:', { error: error.toString() });
+      next(new ApiError('Failed to fetch cache stats', 500));
+    }
+  };
+
+  // Drops the entries of the given tags, or everything without `tag`
+  invalidate = async (req, res, next) => {
+    try {
+      const tags = toList(req.query.tag);
+      if (!tags.length) {
+        await cacheService.clear();
+        logger.info('Cache cleared', { by: req.apiKey.name });
+        return res.json(success({ tags: [], invalidated: null }));
+      }
+      const invalidated = await cacheService.invalidate(tags);
+      res.json(success({ tags, invalidated }));
+    } catch (error) {
+      logger.error('Error invalidating cache:', { error: error.toString(), tag: req.query.tag });
+      next(new ApiError('Failed to invalidate cache', 500));
+    }
+  };
+}
+
+module.exports = new CacheController();
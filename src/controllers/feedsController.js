@@ -0,0 +1,70 @@
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+const sources = require('../utils/sources');
+const { getRegion } = require('../utils/region');
+const { parser, isValidItem, normalizeItem, matchesKeyword } = require('../utils/feedParser');
+const { extractScore, normalizeScore } = require('../utils/reviews');
+const { detectPlatforms } = require('../utils/platforms');
+const { toList } = require('../utils/query');
+const ingestionService = require('../services/ingestionService');
+const cacheService = require('../services/cacheService');
+const { success, paginateList } = require('../utils/response');
+
+class FeedsController {
+  // Serves a live RSS feed of any registered source: /:source or /:source/:feed
+  getFeed = async (req, res, next) => {
+    const { source: sourceId, feed: kind = 'news' } = req.params;
+    const source = sources.getSource(sourceId);
+    if (!source) return next(new ApiError(`Unknown source: ${sourceId}`, 404));
+    if (!sources.isAvailableIn(source, getRegion(req.ip))) {
+      return next(new ApiError(`${source.name} is not available in your region`, 403));
+    }
+    const feed = sources.getFeed(source.id, kind);
+    if (!feed) return next(new ApiError(`${source.name} ${kind} feed is not configured`, 404));
+    try {
+      // The outlet is asked again once the entry is stale; meanwhile readers get the stale copy
+      let items = await cacheService.wrap(`feeds:${source.id}:${kind}`, async () => {
+        logger.info(`FeedsController: Parsing RSS feed from: ${feed.url}`, { source: source.id });
+        const parsed = await parser.parseURL(feed.url);
+        return (parsed.items || [])
+          .filter(isValidItem)
+          .map(item => {
+            const normalized = { ...normalizeItem(item), source: source.id };
+            return { ...normalized, platforms: detectPlatforms(normalized, { categories: item.categories }) };
+          })
+          .map(item => (kind === 'reviews' ? { ...item, score: this.reviewScore(item) } : item));
+      }, { tags: [`feeds:${source.id}`] });
+      if (req.query.q) items = items.filter(item => matchesKeyword(item, req.query.q));
+      const platforms = toList(req.query.platform);
+      if (platforms.length) items = items.filter(item => item.platforms.some(platform => platforms.includes(platform)));
+      const { data, pagination } = paginateList(items, parseInt(req.query.page) || 1, parseInt(req.query.limit) || 20);
+      const meta = items.length ? null : { message: `No ${source.name} ${kind} available at this time.` };
+      res.json(success(data, { pagination, meta }));
+    } catch (error) {
+      logger.error('FeedsController: Error fetching feed:', { error: error.toString(), feedUrl: feed.url, query: req.query });
+      next(new ApiError(`Failed to fetch ${source.name} ${kind} feed`, 500));
+    }
+  };
+  // Snippet score out of 10, null when the snippet has none
+  reviewScore(item) {
+    const found = extractScore(item.description);
+    return found ? normalizeScore(found.score, found.scale) : null;
+  }
+  // Ingestion health of every configured feed
+  getStatus = async (req, res, next) => {
+    try {
+      const data = await ingestionService.getStatus();
+      const summary = {
+        total: data.length,
+        failing: data.filter(feed => feed.consecutiveFailures > 0).length,
+        saved: data.reduce((total, feed) => total + feed.metrics.saved, 0)
+      };
+      res.json(success(data, { meta: { summary } }));
+    } catch (error) {
+      logger.error('FeedsController: Error fetching feed status:', { message: error.message, stack: error.stack });
+      next(new ApiError('Failed to fetch feed status', 500));
+    }
+  };
+}
+
+module.exports = new FeedsController();
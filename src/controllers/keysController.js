@@ -0,0 +1,46 @@
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+const { success, pagePagination } = require('../utils/response');
+const apiKeyService = require('../services/apiKeyService');
+
+class KeysController {
+  // The response is the only place the key is ever shown
+  createKey = async (req, res, next) => {
+    try {
+      const { key, apiKey } = await apiKeyService.create(req.body);
+      logger.info('API key created:', { id: String(apiKey._id), name: apiKey.name, scopes: apiKey.scopes, by: req.apiKey.name });
+      res.status(201).json(success({ ...apiKey, key }));
+    } catch (error) {
+      logger.error('Error creating API key:', { error: error.toString() });
+      next(new ApiError('Failed to create API key', 500));
+    }
+  };
+
+  listKeys = async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const { keys, total } = await apiKeyService.list({ page, limit });
+      res.json(success(keys, { pagination: pagePagination({ page, limit, total }) }));
+    } catch (error) {
+      logger.error('Error listing API keys:', { error: error.toString() });
+      next(new ApiError('Failed to list API keys', 500));
+    }
+  };
+
+  revokeKey = async (req, res, next) => {
+    try {
+      const apiKey = await apiKeyService.revoke(req.params.id);
+      if (!apiKey) {
+        return next(new ApiError('API key not found', 404));
+      }
+      logger.info('API key revoked:', { id: req.params.id, by: req.apiKey.name });
+      res.json(success(apiKey));
+    } catch (error) {
+      logger.error('Error revoking API key:', { error: error.toString(), keyId: req.params.id });
+      next(new ApiError('Failed to revoke API key', 500));
+    }
+  };
+}
+
+module.exports = new KeysController();
@@ -1,186 +1,337 @@
-const cache = require('memory-cache');
-const RSSParser = require('rss-parser');
 const logger = require('../utils/logger');
 const News = require('../models/news');
-const geoip = require('geoip-lite');
-const cheerio = require('cheerio');
-const axios = require('axios');
-const parser = new RSSParser({
-  customFields: {
-    item: [['media:content', 'mediaContent'], ['media:thumbnail', 'newsThumbnail'], ['dc:creator', 'creator']]
-  },
-  requestOptions: {
-    headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36' }
-  }
-});
-const CACHE_DURATION = process.env.CACHE_DURATION_MS || 60000;
-const MAX_NEWS_LIMIT = process.env.MAX_NEWS_LIMIT || 1000;
+const FeedStatus = require('../models/feedStatus');
+const sources = require('../utils/sources');
+const { getRegion } = require('../utils/region');
+const { toList } = require('../utils/query');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { isValidItem, normalizeItem } = require('../utils/feedParser');
+const { detectPlatforms } = require('../utils/platforms');
+const { FORMATS, writeFeed, negotiateFormat } = require('../utils/feedWriter');
+const { ApiError } = require('../utils/errors');
+const { success, pagePagination, cursorPagination } = require('../utils/response');
+const articleService = require('../services/articleService');
+const clusterService = require('../services/clusterService');
+const classifierService = require('../services/classifierService');
+const ingestionService = require('../services/ingestionService');
+const newsService = require('../services/newsService');
+const retentionService = require('../services/retentionService');
+const reviewService = require('../services/reviewService');
+const gameLinkService = require('../services/gameLinkService');
+const streamService = require('../services/streamService');
+const webhookService = require('../services/webhookService');
+const cacheService = require('../services/cacheService');
+const FEED_LIMIT = 50;
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 15000;
 class NewsController {
-  categorizeNews(item) {
-    const title = (item.title || '').toLowerCase();
-    const content = (item.contentSnippet || '').toLowerCase();
-    if (title.includes('rumor') || title.includes('слух') || content.includes('rumor')) return 'rumors';
-    if (title.includes('announc') || title.includes('анонс') || content.includes('announc')) return 'soon';
-    if (title.includes('poll') || title.includes('опрос') || content.includes('poll')) return 'polls';
-    if (title.includes('recommend') || title.includes('рекоменд') || content.includes('recommend')) return 'recommendations';
-    return 'update';
+  // Combines the requested source/sources params with the region restrictions
+  buildSourceFilter(reqQuery, region) {
+    const requested = [...new Set([...toList(reqQuery.source), ...toList(reqQuery.sources)])];
+    if (!requested.length) return sources.visibleSourceFilter(region);
+    const available = requested.map(sources.getSource).filter(source => source && sources.isAvailableIn(source, region));
+    return { $in: available.map(source => source.id) };
+  }
+  // Filters shared by /latest, /search and /feed: category, tags, platform, game, date range and sources
+  buildNewsQuery(reqQuery, region) {
+    const { category, date, from, to } = reqQuery;
+    const query = {};
+    if (category) query.category = category;
+    const tags = toList(reqQuery.tags);
+    if (tags.length) query.tags = { $all: tags };
+    if (date) {
+      const start = new Date(date); start.setHours(0,0,0,0);
+      const end = new Date(date); end.setHours(23,59,59,999);
+      query.pubDate = { $gte: start, $lte: end };
+    } else if (from || to) query.pubDate = { ...(from && { $gte: new Date(from) }), ...(to && { $lte: new Date(to) }) };
+    const platforms = toList(reqQuery.platform);
+    if (platforms.length) query.platforms = { $in: platforms };
+    // `game` was resolved from a slug or id to the game's _id by newsFilters
+    if (reqQuery.game) query.games = reqQuery.game;
+    const sourceFilter = this.buildSourceFilter(reqQuery, region);
+    if (sourceFilter) query.source = sourceFilter;
+    return query;
   }
   getLatestNews = async (req, res, next) => {
+    // Feed readers asking for RSS, Atom or JSON Feed get the syndication output
+    res.vary('Accept');
+    const format = negotiateFormat(req);
+    if (format) return this.sendFeed(req, res, next, format);
     try {
-      const geo = geoip.lookup(req.ip);
-      const isEU = geo && ['AT','BE','BG','CY','CZ','DE','DK','EE','ES','FI','FR','GR','HR','HU','IE','IT','LT','LU','LV','MT','NL','PL','PT','RO','SE','SI','SK'].includes(geo.country);
-      const { page = 1, limit = 10, category, date, from, to } = req.query;
-      let query = {};
-      if (category) query.category = category;
-      if (date) {
-        const start = new Date(date); start.setHours(0,0,0,0);
-        const end = new Date(date); end.setHours(23,59,59,999);
-        query.pubDate = { $gte: start, $lte: end };
-      } else if (from || to) query.pubDate = { ...(from && { $gte: new Date(from) }), ...(to && { $lte: new Date(to) }) };
-      if (!isEU) query.source = { $nin: ['polygon', 'gamerant', 'thegamer'] };
-      const cacheKey = `news_${page}_${limit}_${category||'all'}_${date||'none'}_${from||'none'}_${to||'none'}_${isEU?'eu':'us'}`;
-      let response = cache.get(cacheKey);
-      if (response) return res.json(response);
-      const news = await News.find(query).sort({ pubDate: -1 }).skip((page-1)*limit).limit(+limit).exec();
-      const total = await News.countDocuments(query);
-      response = { success: true, data: news, pagination: { current: +page, total, hasMore: page*limit < total } };
-      cache.put(cacheKey, response, CACHE_DURATION);
+      const { cursor } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const collapse = req.query.collapse === 'true';
+      const query = this.buildNewsQuery(req.query, getRegion(req.ip));
+      const cacheKey = `news:latest:${collapse ? 'collapsed:' : ''}${cursor ? `c${cursor}` : page}_${limit}_${JSON.stringify(query)}`;
+      const response = await cacheService.wrap(cacheKey, async () => {
+        let result;
+        // One entry per story, see clusterService.collapsed
+        if (collapse) {
+          const after = cursor ? decodeCursor(cursor) : null;
+          const news = await clusterService.findCollapsed(query, { after, skip: after ? 0 : (page-1)*limit, limit: limit + 1 });
+          const hasMore = news.length > limit;
+          if (hasMore) news.pop();
+          const nextCursor = hasMore ? encodeCursor(news[news.length - 1]) : null;
+          const pagination = after
+            ? cursorPagination({ limit, hasMore, nextCursor })
+            : pagePagination({ page, limit, total: await clusterService.countCollapsed(query), nextCursor });
+          result = success(await this.attachRelated(news, query.source), { pagination });
+        } else if (cursor) {
+          // Keyset pagination: stable while new items are inserted at the top
+          const after = decodeCursor(cursor);
+          query.$or = [{ pubDate: { $lt: after.pubDate } }, { pubDate: after.pubDate, _id: { $lt: after.id } }];
+          const news = await News.find(query).sort({ pubDate: -1, _id: -1 }).limit(limit + 1).exec();
+          const hasMore = news.length > limit;
+          if (hasMore) news.pop();
+          result = success(news, { pagination: cursorPagination({ limit, hasMore, nextCursor: hasMore ? encodeCursor(news[news.length - 1]) : null }) });
+        } else {
+          const news = await News.find(query).sort({ pubDate: -1, _id: -1 }).skip((page-1)*limit).limit(limit).exec();
+          const total = await News.countDocuments(query);
+          const hasMore = page*limit < total;
+          const nextCursor = hasMore && news.length ? encodeCursor(news[news.length - 1]) : null;
+          result = success(news, { pagination: pagePagination({ page, limit, total, nextCursor }) });
+        }
+        return result;
+      }, { tags: ['news:latest'] });
       return res.json(response);
     } catch (error) {
       logger.error('News fetch error:', { message: error.message, stack: error.stack, query: req.query });
       next(new Error('Failed to fetch news'));
     }
   };
+  // Adds the other outlets' coverage of each story as `related`
+  async attachRelated(news, sourceFilter) {
+    const related = await clusterService.findRelated(news, sourceFilter);
+    return news.map(item => ({ ...item, related: related.get(String(item.cluster)) || [] }));
+  }
+  // /feed.rss, /feed.atom, /feed.json; plain /feed negotiates and defaults to RSS
+  getNewsFeed = (req, res, next) => {
+    if (req.params.format) return this.sendFeed(req, res, next, req.params.format);
+    res.vary('Accept');
+    return this.sendFeed(req, res, next, negotiateFormat(req) || 'rss');
+  };
+  // Latest news with the /latest filters as a syndication feed
+  sendFeed = async (req, res, next, format) => {
+    try {
+      const limit = Math.min(+req.query.limit || FEED_LIMIT, 100);
+      const collapse = req.query.collapse === 'true';
+      const query = this.buildNewsQuery(req.query, getRegion(req.ip));
+      const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+      const selfUrl = `${baseUrl}${req.originalUrl}`;
+      const cacheKey = `feed:${format}:${limit}_${collapse}_${selfUrl}_${JSON.stringify(query)}`;
+      // Served stale while it is rebuilt, see src/config/cache.js
+      const { body, updated } = await cacheService.wrap(cacheKey, async () => {
+        const news = collapse
+          ? await clusterService.findCollapsed(query, { limit })
+          : await News.find(query).sort({ pubDate: -1, _id: -1 }).limit(limit).lean().exec();
+        const items = news.map(item => ({ ...item, sourceInfo: this.sourceInfo(item.source) }));
+        const updated = news[0]?.pubDate || new Date();
+        return {
+          body: writeFeed(format, items, {
+            title: 'Gaming News',
+            description: 'Latest gaming news aggregated from IGN, GameSpot, Polygon and other outlets',
+            link: baseUrl,
+            selfUrl,
+            updated
+          }),
+          updated
+        };
+      }, { tags: ['news:feed'] });
+      res.set('Last-Modified', new Date(updated).toUTCString());
+      res.type(`${FORMATS[format].type}; charset=utf-8`).send(body);
+    } catch (error) {
+      logger.error('Feed output error:', { message: error.message, stack: error.stack, query: req.query });
+      next(new Error('Failed to build news feed'));
+    }
+  };
+  // Server-sent events: one `news` event per newly ingested item matching the
+  // category/source/platform filters. A reconnecting client sending Last-Event-ID
+  // first gets the items it missed; comment lines keep idle connections open.
+  streamNews = async (req, res, next) => {
+    const filter = {
+      category: req.query.category,
+      source: this.buildSourceFilter(req.query, getRegion(req.ip)),
+      platforms: toList(req.query.platform)
+    };
+    let lastSent = null;
+    let queue = [];
+    const send = item => {
+      const id = String(item._id);
+      // Items published while the missed ones were being loaded may be among them
+      if (lastSent && id <= lastSent) return;
+      lastSent = id;
+      res.write(`id: ${id}\nevent: news\ndata: ${JSON.stringify(item)}\n\n`);
+    };
+    const unsubscribe = streamService.subscribe(filter, item => (queue ? queue.push(item) : send(item)));
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Keeps reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    try {
+      const missed = await streamService.missed(req.get('Last-Event-ID') || req.query.lastEventId, filter);
+      missed.forEach(send);
+    } catch (error) {
+      logger.error('Stream resume error:', { message: error.message, stack: error.stack, lastEventId: req.get('Last-Event-ID') });
+    }
+    queue.forEach(send);
+    queue = null;
+  };
+  sourceInfo(id) {
+    const source = sources.getSource(id);
+    return source ? { id: source.id, name: source.name, url: `https://www.${source.domains[0]}/` } : null;
+  }
   searchNews = async (req, res, next) => {
     try {
       const { q } = req.query;
-      const news = await News.find({ $or: [{ title: { $regex: q, $options: 'i' } }, { description: { $regex: q, $options: 'i' } }] }).exec();
-      res.json({ success: true, data: news });
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      // $text handles "exact phrases" and -excluded terms natively
+      const query = { ...this.buildNewsQuery(req.query, getRegion(req.ip)), $text: { $search: q } };
+      const score = { $meta: 'textScore' };
+      const [news, total] = await Promise.all([
+        News.find(query, { score }).sort({ score, pubDate: -1 }).skip((page-1)*limit).limit(limit).exec(),
+        News.countDocuments(query)
+      ]);
+      res.json(success(news, { pagination: pagePagination({ page, limit, total }) }));
     } catch (error) {
       logger.error('Search error:', { message: error.message, stack: error.stack, query: req.query });
       next(new Error('Failed to search news'));
     }
   };
+  getSources = async (req, res, next) => {
+    try {
+      const region = getRegion(req.ip);
+      const response = await cacheService.wrap(`news:sources:${region}`, async () => {
+        // Unchanged items are not written on ingestion, so `updatedAt` cannot tell
+        // when a source was last seen; its feeds' last successful fetch does
+        const [stats, seen] = await Promise.all([
+          News.aggregate([{ $group: { _id: '$source', count: { $sum: 1 }, latestPubDate: { $max: '$pubDate' } } }]),
+          FeedStatus.aggregate([{ $group: { _id: '$source', lastSeenAt: { $max: '$lastSuccessAt' } } }])
+        ]);
+        const statsById = new Map(stats.map(stat => [stat._id, stat]));
+        const seenById = new Map(seen.map(entry => [entry._id, entry.lastSeenAt]));
+        const hidden = sources.getHiddenSourceIds(region);
+        const data = sources.getSourceIds()
+          .filter(id => !hidden.includes(id))
+          .map(id => {
+            const { name } = sources.getSource(id);
+            const stat = statsById.get(id);
+            return {
+              id,
+              name,
+              count: stat?.count || 0,
+              latestPubDate: stat?.latestPubDate || null,
+              lastSeenAt: seenById.get(id) || null
+            };
+          });
+        return success(data);
+      }, { tags: ['news:sources'] });
+      res.json(response);
+    } catch (error) {
+      logger.error('Sources fetch error:', { message: error.message, stack: error.stack });
+      next(new Error('Failed to fetch sources'));
+    }
+  };
   getNewsByDate = async (req, res, next) => {
     try {
       const { date } = req.query;
       const start = new Date(date); start.setHours(0,0,0,0);
       const end = new Date(date); end.setHours(23,59,59,999);
-      const news = await News.find({ pubDate: { $gte: start, $lte: end } }).sort({ pubDate: -1 }).exec();
-      if (!news.length) return res.status(404).json({ success: false, message: 'No news found' });
-      res.json({ success: true, data: news });
+      const query = { pubDate: { $gte: start, $lte: end } };
+      const source = this.buildSourceFilter(req.query, getRegion(req.ip));
+      if (source) query.source = source;
+      const news = await News.find(query).sort({ pubDate: -1 }).exec();
+      if (!news.length) return next(new ApiError('No news found', 404));
+      res.json(success(news));
     } catch (error) {
       logger.error('Date fetch error:', { message: error.message, stack: error.stack, query: req.query });
       next(new Error('Failed to fetch news by date'));
     }
   };
   fetchNews = async () => {
-    const feedUrls = [
-      process.env.IGN_NEWS_FEED,
-      process.env.IGN_REVIEWS_FEED,
-      process.env.GAMESPOT_NEWS_FEED,
-      process.env.GAMESPOT_REVIEWS_FEED,
-      process.env.POLYGON_FEED,
-      process.env.EUROGAMER_FEED,
-      process.env.PCGAMER_FEED,
-      process.env.GAMERANT_FEED,
-      process.env.THEGAMER_FEED
-    ].filter(Boolean);
     const newsItems = [];
-    const getSource = url => {
-      if (url.includes('ign')) return 'ign';
-      if (url.includes('gamespot')) return 'gamespot';
-      if (url.includes('polygon')) return 'polygon';
-      if (url.includes('eurogamer')) return 'eurogamer';
-      if (url.includes('pcgamer')) return 'pcgamer';
-      if (url.includes('gamerant')) return 'gamerant';
-      if (url.includes('thegamer')) return 'thegamer';
-      return 'unknown';
-    };
-    for (const url of feedUrls) {
-      try {
-        const feed = await parser.parseURL(url);
-        if (!feed.items?.length) continue;
-        const items = feed.items
-          .filter(item => item.title && item.link && (item.pubDate || item.isoDate))
-          .map(item => ({
-            title: item.title,
-            description: (item.contentSnippet || item.content || '').replace(/\n\s*\n/g, '\n').replace(/\n/g, ' ').trim(),
-            link: item.link,
-            pubDate: new Date(item.pubDate || item.isoDate),
-            image: item.enclosure?.url || (item.mediaContent ? (Array.isArray(item.mediaContent) ? item.mediaContent[0]?.$?.url : item.mediaContent.$?.url) : null) || (item.newsThumbnail ? (Array.isArray(item.newsThumbnail) ? item.newsThumbnail[0]?.$?.url : item.newsThumbnail.$?.url) : null) || 'https://via.placeholder.com/150',
-            author: item.creator || item.author || 'Unknown',
-            category: this.categorizeNews(item),
-            source: getSource(url)
-          }));
-        newsItems.push(...items);
-      } catch (error) {}
+    const reviewItems = [];
+    const feeds = { fetched: 0, 'not-modified': 0, deferred: 0, failed: 0 };
+    const results = await ingestionService.fetchFeeds();
+    for (const { feed, items, outcome } of results) {
+      feeds[outcome]++;
+      const normalized = items
+        .filter(isValidItem)
+        .map(item => {
+          const normalized = { ...normalizeItem(item), source: feed.source };
+          // Feed categories take part in platform detection but are not stored
+          return { ...normalized, platforms: detectPlatforms(normalized, { categories: item.categories }) };
+        });
+      // Review feeds also feed the game catalogue
+      if (feed.kind === 'reviews') reviewItems.push(...normalized);
+      newsItems.push(...normalized
+        .map(item => ({ ...item, feed: feed.kind, ...clusterService.titleFeatures(item.title) }))
+        .map(item => ({ ...item, ...classifierService.classify(item, feed) })));
+    }
+    const matcher = await gameLinkService.getMatcher();
+    const { inserted, updated, unchanged, created } = await newsService.upsertMany(gameLinkService.link(newsItems, matcher));
+    await clusterService.assign(created);
+    const games = await reviewService.ingest(reviewItems);
+    // Games new to the catalogue may be mentioned by news stored before
+    if (games.created) await gameLinkService.relink();
+    // Only what the run can have changed; live source feeds keep their own lifetime
+    await cacheService.invalidate(['news:*', ...(games.games ? ['games:*'] : [])]);
+    // A run that threw before this point fetches the same feeds again next time.
+    // Saved before the deliveries, which a slow subscriber can drag past the
+    // time limit of the cron request.
+    await ingestionService.saveValidators(results);
+    streamService.publish(created);
+    // Awaited: serverless deployments freeze the process once the cron request is answered
+    const webhooks = await webhookService.dispatch(created);
+    await articleService.prefetch(created.map(item => item.link));
+    const summary = { fetched: newsItems.length, inserted, updated, unchanged, feeds, games, webhooks };
+    logger.info('News stored', summary);
+    return summary;
+  };
+  runFetch = async (req, res, next) => {
+    try {
+      const summary = await this.fetchNews();
+      res.json(success(summary, { meta: { message: 'News fetched and saved' } }));
+    } catch (error) {
+      logger.error('Fetch news error:', { message: error.message, stack: error.stack });
+      next(new Error('Failed to fetch news'));
     }
-    let currentCount = await News.countDocuments();
-    for (const item of newsItems) {
-      if (currentCount >= MAX_NEWS_LIMIT) {
-        const oldest = await News.findOne().sort({ pubDate: 1 }).exec();
-        if (oldest) await News.deleteOne({ _id: oldest._id });
-      }
-      const existing = await News.findOne({ link: item.link }).exec();
-      if (!existing) await News.create(item);
-      else await News.updateOne({ link: item.link }, { $set: item });
-      currentCount++;
+  };
+  runRetention = async (req, res, next) => {
+    try {
+      const result = await retentionService.run();
+      res.json(success(result));
+    } catch (error) {
+      logger.error('Retention error:', { message: error.message, stack: error.stack });
+      next(new Error('Failed to apply retention policies'));
+    }
+  };
+  reclassifyNews = async (req, res, next) => {
+    try {
+      const result = await classifierService.reclassify({ all: req.query.all === 'true' });
+      await cacheService.invalidate(['news:*']);
+      res.json(success(result));
+    } catch (error) {
+      logger.error('Reclassify error:', { message: error.message, stack: error.stack });
+      next(new Error('Failed to reclassify news'));
     }
-    cache.clear();
-    return newsItems;
   };
   parseArticle = async (req, res, next) => {
-    const { link } = req.query;
-    if (!link) return res.status(400).json({ error: 'Link required' });
+    const { link, refresh } = req.query;
     try {
-      const { data: html } = await axios.get(link, { 
-        headers: { 
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1'
-        },
-        timeout: 30000 
-      });
-      const $ = cheerio.load(html);
-      $('aside').remove();
-      let selector = link.includes('ign.com') ? '.article-content p:not(.advertisement), .article-content h2, .article-content h3, .article-content table, .article-content ol, .article-content ul' :
-        link.includes('gamespot.com') ? '.article-body p:not(.ad, .sponsored), .article-body h2, .article-body h3, .article-body table, .article-body ol, .article-body ul' :
-        link.includes('pcgamer.com') ? '.content-wrapper p:not(.ad-block, .sponsored, .affiliate, .newsletter-form__wrapper, .newsletter-form__wrapper--inbodyContent, .slice-container, .slice-author-bio, .authorBio-swuqazpYSZeXGJMSzXNqBJ, .slice-container-authorBio, .person-wrapper, .person-nBZd4MkT7sYaFmc8BsVcQ5-fSwi155TTodmvyQm7jW5mmjqEoPoLFik, .slice-container-person, .person__bio, figcaption, figure, aside), .content-wrapper h2:not(:has(p, a, span)), .content-wrapper h3, .content-wrapper table, .content-wrapper ol, .content-wrapper ul' :
-        link.includes('gamerant.com') ? '.article-body *, .content-block-regular *, video' :
-        link.includes('thegamer.com') ? '.content p:not(.ad, .sponsored), .content h2, .content h3, .content table, .content ol, .content ul, .content-block-regular p:not(.ad, .sponsored), .content-block-regular h2, .content-block-regular h3, .content-block-regular table, .content-block-regular ol, .content-block-regular ul' :
-        link.includes('eurogamer.net') ? '.article_body *:not(figure, aside)' :
-        link.includes('polygon.com') ? '.content-block-regular *' :
-        'article p:not(.ad-block, .sponsored, .affiliate, .newsletter-form__wrapper, .newsletter-form__wrapper--inbodyContent, .slice-container, .slice-author-bio, .authorBio-swuqazpYSZeXGJMSzXNqBJ, .slice-container-authorBio, .person-wrapper, .person-nBZd4MkT7sYaFmc8BsVcQ5-fSwi155TTodmvyQm7jW5mmjqEoPoLFik, .slice-container-person, .display-card-main-content-wrapper), article h2, article h3, article table, article ol, article ul, .content p, .content h2, .content h3, .content table, .content ol, .content ul';
-      let elements = $(selector);
-      if (!elements.length) {
-        selector = 'article p, article h2, article h3, .content p, .content h2, .content h3, .entry-content p, .entry-content h2, .entry-content h3, .post-content p, .post-content h2, .post-content h3, .article-body p, .article-body h2, .article-body h3, article table, .content table, .entry-content table, .post-content table, .article-body table, article ol, .content ol, .entry-content ol, .post-content ol, .article-body ol, article ul, .content ul, .entry-content ul, .post-content ul, .article-body ul';
-        elements = $(selector);
-      }
-      const ignoreClasses = ['ad-block', 'sponsored', 'affiliate', 'newsletter-form__wrapper', 'newsletter-form__wrapper--inbodyContent', 'slice-container', 'slice-author-bio', 'authorBio-swuqazpYSZeXGJMSzXNqBJ', 'slice-container-authorBio', 'person-wrapper', 'person-nBZd4MkT7sYaFmc8BsVcQ5-fSwi155TTodmvyQm7jW5mmjqEoPoLFik', 'slice-container-person', 'display-card-main-content-wrapper'];
-      const ignoreTexts = ['The biggest gaming news, reviews and hardware deals', 'Keep up to date with the most important stories and the best deals, as picked by the PC Gamer team', 'Please enable JavaScript to see our live coverage of this event.', 'You must confirm your public display name before commenting', 'Please logout and then login again, you will then be prompted to enter your display name.'];
-      const contentParts = [];
-      let currentText = '';
-      elements.each((i, el) => {
-        const element = $(el);
-        const text = element.text().trim();
-        if (!text) return;
-        let include = !ignoreClasses.some(cls => element.hasClass(cls) || element.closest(`.${cls}`).length) && !(element.is('p') && ignoreTexts.includes(text));
-        if (include) {
-          if (element.is('p') && !element.closest('table').length) currentText += text + '\n\n';
-          else if (element.is('table,h2,h3,ol,ul,video')) {
-            if (currentText) contentParts.push({ type: 'text', content: currentText.trim() });
-            currentText = '';
-            contentParts.push({ type: 'html', content: element.outerHtml() });
-          }
-        }
-      });
-      if (currentText) contentParts.push({ type: 'text', content: currentText.trim() });
-      if (!contentParts.length) contentParts.push({ type: 'text', content: 'Content missing.' });
-      res.json({ content: contentParts });
+      const article = await articleService.getArticle(link, { refresh: refresh === 'true' });
+      const content = article.contentParts.length ? article.contentParts : [{ type: 'text', content: 'Content missing.' }];
+      res.json(success({ content, blocks: article.blocks, fetchedAt: article.fetchedAt }));
     } catch (error) {
       logger.error('Parse error:', { message: error.message, stack: error.stack, link });
       next(error);
@@ -0,0 +1,31 @@
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+const { success } = require('../utils/response');
+const rateLimitService = require('../services/rateLimitService');
+
+class RateLimitsController {
+  // Configured limits and the counters of the current window
+  getState = async (req, res, next) => {
+    try {
+      res.json(success(await rateLimitService.getState()));
+    } catch (error) {
+      logger.error('Error fetching rate limit state:', { error: error.toString() });
+      next(new ApiError('Failed to fetch rate limit state', 500));
+    }
+  };
+
+  // Gives a client a fresh budget, e.g. after raising its key's tier
+  resetClient = async (req, res, next) => {
+    try {
+      const { client } = req.query;
+      const reset = await rateLimitService.reset(client);
+      logger.info('Rate limits reset:', { client, reset, by: req.apiKey.name });
+      res.json(success({ client, reset }));
+    } catch (error) {
+      logger.error('Error resetting rate limits:', { error: error.toString(), client: req.query.client });
+      next(new ApiError('Failed to reset rate limits', 500));
+    }
+  };
+}
+
+module.exports = new RateLimitsController();
@@ -0,0 +1,89 @@
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+const { success, pagePagination } = require('../utils/response');
+const webhookService = require('../services/webhookService');
+
+class SubscriptionsController {
+  // The response is the only place the secret is ever shown
+  createSubscription = async (req, res, next) => {
+    try {
+      const subscription = await webhookService.createSubscription(req.body);
+      res.status(201).json(success(subscription));
+    } catch (error) {
+      if (error instanceof ApiError) return next(error);
+      logger.error('Error creating subscription:', { error: error.toString() });
+      next(new ApiError('Failed to create subscription', 500));
+    }
+  };
+
+  listSubscriptions = async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const { subscriptions, total } = await webhookService.listSubscriptions({ page, limit });
+      res.json(success(subscriptions, { pagination: pagePagination({ page, limit, total }) }));
+    } catch (error) {
+      logger.error('Error listing subscriptions:', { error: error.toString() });
+      next(new ApiError('Failed to list subscriptions', 500));
+    }
+  };
+
+  getSubscription = async (req, res, next) => {
+    try {
+      const subscription = await webhookService.getSubscription(req.params.id);
+      if (!subscription) {
+        return next(new ApiError('Subscription not found', 404));
+      }
+      res.json(success(subscription));
+    } catch (error) {
+      logger.error('Error fetching subscription:', { error: error.toString(), subscriptionId: req.params.id });
+      next(new ApiError('Failed to fetch subscription', 500));
+    }
+  };
+
+  updateSubscription = async (req, res, next) => {
+    try {
+      const subscription = await webhookService.updateSubscription(req.params.id, req.body);
+      if (!subscription) {
+        return next(new ApiError('Subscription not found', 404));
+      }
+      res.json(success(subscription));
+    } catch (error) {
+      if (error instanceof ApiError) return next(error);
+      logger.error('Error updating subscription:', { error: error.toString(), subscriptionId: req.params.id });
+      next(new ApiError('Failed to update subscription', 500));
+    }
+  };
+
+  deleteSubscription = async (req, res, next) => {
+    try {
+      const subscription = await webhookService.deleteSubscription(req.params.id);
+      if (!subscription) {
+        return next(new ApiError('Subscription not found', 404));
+      }
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Error deleting subscription:', { error: error.toString(), subscriptionId: req.params.id });
+      next(new ApiError('Failed to delete subscription', 500));
+    }
+  };
+
+  // Delivery log, newest first
+  getDeliveries = async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const subscription = await webhookService.getSubscription(req.params.id);
+      if (!subscription) {
+        return next(new ApiError('Subscription not found', 404));
+      }
+      const { deliveries, total } = await webhookService.getDeliveries(subscription._id, { page, limit });
+      res.json(success(deliveries, { pagination: pagePagination({ page, limit, total }) }));
+    } catch (error) {
+      logger.error('Error fetching deliveries:', { error: error.toString(), subscriptionId: req.params.id });
+      next(new ApiError('Failed to fetch deliveries', 500));
+    }
+  };
+}
+
+module.exports = new SubscriptionsController();
@@ -0,0 +1,189 @@
+const cheerio = require('cheerio');
+const { toAbsoluteUrl, sanitizeHtml } = require('../utils/html');
+
+// Used when a site's own containers match nothing, e.g. after a redesign
+const FALLBACK_SELECTOR = 'article, .content, .entry-content, .post-content, .article-body';
+const COMMON_IGNORE_CLASSES = ['ad-block', 'sponsored', 'affiliate'];
+const COMMON_IGNORE_TEXTS = ['Please enable JavaScript to see our live coverage of this event.'];
+const SKIPPED_TAGS = ['script', 'style', 'noscript', 'template', 'form', 'button', 'svg', 'nav', 'footer', 'aside', 'header'];
+const SCORE_PATTERN = /(\d+(?:[.,]\d+)?)\s*(?:\/|out of)\s*(\d+)/i;
+
+const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+// Recognizes embeds we can render natively; everything else (ads, widgets) is dropped
+const parseVideoUrl = url => {
+  if (!url) return null;
+  const youtube = url.match(/(?:youtube(?:-nocookie)?\.com\/(?:embed\/|watch\?v=)|youtu\.be\/)([\w-]{11})/);
+  if (youtube) return { provider: 'youtube', id: youtube[1], url: `https://www.youtube.com/watch?v=${youtube[1]}`, embedUrl: `https://www.youtube-nocookie.com/embed/${youtube[1]}` };
+  const vimeo = url.match(/(?:player\.)?vimeo\.com\/(?:video\/)?(\d+)/);
+  if (vimeo) return { provider: 'vimeo', id: vimeo[1], url: `https://vimeo.com/${vimeo[1]}`, embedUrl: `https://player.vimeo.com/video/${vimeo[1]}` };
+  return null;
+};
+
+// Flattens blocks to the legacy `{ type: 'text' | 'html', content }` parts:
+// consecutive paragraphs are merged, media and review blocks have no legacy form
+const toContentParts = blocks => {
+  const contentParts = [];
+  let currentText = '';
+  for (const block of blocks) {
+    if (block.type === 'paragraph') currentText += block.text + '\n\n';
+    else if (['heading', 'list', 'table'].includes(block.type) && (block.type !== 'heading' || block.level < 4)) {
+      if (currentText) contentParts.push({ type: 'text', content: currentText.trim() });
+      currentText = '';
+      contentParts.push({ type: 'html', content: block.html });
+    }
+  }
+  if (currentText) contentParts.push({ type: 'text', content: currentText.trim() });
+  return contentParts;
+};
+
+// Extraction rules of one site. A site module only declares its content
+// containers, ignore rules and, for review pages, where the verdict box lives.
+class ArticleExtractor {
+  constructor({ id, contentSelector, ignoreClasses = [], ignoreSelectors = [], ignoreTexts = [], review = null }) {
+    this.id = id;
+    this.contentSelector = contentSelector;
+    this.ignoreClasses = [...new Set([...COMMON_IGNORE_CLASSES, ...ignoreClasses])];
+    this.ignoreSelectors = ignoreSelectors;
+    this.ignoreTexts = [...new Set([...COMMON_IGNORE_TEXTS, ...ignoreTexts])];
+    this.review = review;
+  }
+
+  // Legacy content parts, kept for clients that render `text`/`html` pairs
+  extract(html, link) {
+    return toContentParts(this.extractBlocks(html, link));
+  }
+
+  // Structured blocks: paragraph, heading, list, table, image, video, quote, review
+  extractBlocks(html, link) {
+    const $ = cheerio.load(html);
+    $('aside, script, style, noscript, template').remove();
+    let roots = $(this.contentSelector);
+    if (!roots.length) roots = $(FALLBACK_SELECTOR);
+    const rootNodes = roots.toArray();
+    const blocks = [];
+    // Nested matches (e.g. .content inside article) would duplicate content
+    rootNodes
+      .filter(el => !$(el).parents().toArray().some(parent => rootNodes.includes(parent)))
+      .forEach(el => {
+        if (!this.isIgnored($(el))) this.walk($, el, link, blocks);
+      });
+    return blocks;
+  }
+
+  walk($, node, link, blocks) {
+    $(node).children().each((i, el) => {
+      const element = $(el);
+      const tag = el.tagName;
+      if (SKIPPED_TAGS.includes(tag) || this.isIgnored(element)) return;
+      if (this.review && element.is(this.review.selector)) return this.pushBlock(blocks, this.reviewBlock($, element));
+      switch (tag) {
+        case 'p': return this.pushBlock(blocks, this.paragraphBlock($, element, link));
+        case 'h2': case 'h3': case 'h4': return this.pushBlock(blocks, this.headingBlock($, element, link));
+        case 'ul': case 'ol': return this.pushBlock(blocks, this.listBlock($, element, link));
+        case 'table': return this.pushBlock(blocks, this.tableBlock($, element, link));
+        case 'figure': return this.pushBlock(blocks, this.videoBlock($, element, link) || this.imageBlock($, element, link));
+        case 'img': case 'picture': return this.pushBlock(blocks, this.imageBlock($, element, link));
+        case 'iframe': case 'video': case 'lite-youtube': return this.pushBlock(blocks, this.videoBlock($, element, link));
+        case 'blockquote': return this.pushBlock(blocks, this.quoteBlock($, element, link));
+        default: return this.walk($, el, link, blocks);
+      }
+    });
+  }
+
+  pushBlock(blocks, block) {
+    if (block) blocks.push(block);
+  }
+
+  isIgnored(element) {
+    return this.ignoreClasses.some(cls => element.hasClass(cls)) ||
+      this.ignoreSelectors.some(selector => element.is(selector));
+  }
+
+  paragraphBlock($, element, link) {
+    const text = clean(element.text());
+    if (!text) {
+      // Image or embed wrapped in a paragraph
+      return this.videoBlock($, element, link) || this.imageBlock($, element, link);
+    }
+    if (this.ignoreTexts.includes(text)) return null;
+    return { type: 'paragraph', text, html: sanitizeHtml($, element, link, { inner: true }) };
+  }
+
+  headingBlock($, element, link) {
+    const text = clean(element.text());
+    if (!text) return null;
+    return { type: 'heading', level: Number(element.get(0).tagName[1]), text, html: sanitizeHtml($, element, link) };
+  }
+
+  listBlock($, element, link) {
+    const items = element.children('li').toArray().map(li => clean($(li).text())).filter(Boolean);
+    if (!items.length) return null;
+    return { type: 'list', ordered: element.is('ol'), items, html: sanitizeHtml($, element, link) };
+  }
+
+  tableBlock($, element, link) {
+    const rows = element.find('tr').toArray()
+      .map(tr => $(tr).children('th, td').toArray().map(cell => clean($(cell).text())))
+      .filter(row => row.some(Boolean));
+    if (!rows.length) return null;
+    const hasHeader = $(element.find('tr').get(0)).children('th').length > 0;
+    return { type: 'table', header: hasHeader ? rows[0] : null, rows: hasHeader ? rows.slice(1) : rows, html: sanitizeHtml($, element, link) };
+  }
+
+  imageBlock($, element, link) {
+    const img = element.is('img') ? element : element.find('img').first();
+    const source = element.find('source[srcset]').first();
+    const candidates = [img.attr('data-src'), img.attr('data-original'), img.attr('src'), (img.attr('srcset') || source.attr('srcset') || '').split(/\s+/)[0]];
+    const src = candidates.map(url => (url && !url.startsWith('data:') ? toAbsoluteUrl(url, link) : null)).find(Boolean);
+    if (!src) return null;
+    const caption = clean(element.find('figcaption').text()) || null;
+    return { type: 'image', src, alt: clean(img.attr('alt')) || null, caption };
+  }
+
+  videoBlock($, element, link) {
+    const embed = element.is('iframe, video, lite-youtube') ? element : element.find('iframe, video, lite-youtube').first();
+    if (!embed.length) return null;
+    const caption = clean(element.find('figcaption').text()) || null;
+    if (embed.is('lite-youtube')) {
+      const video = parseVideoUrl(`https://youtu.be/${embed.attr('videoid')}`);
+      return video && { type: 'video', ...video, caption };
+    }
+    if (embed.is('video')) {
+      const url = toAbsoluteUrl(embed.attr('src') || embed.find('source[src]').first().attr('src'), link);
+      return url && { type: 'video', provider: 'file', id: null, url, embedUrl: null, caption };
+    }
+    const video = parseVideoUrl(toAbsoluteUrl(embed.attr('src') || embed.attr('data-src'), link));
+    return video && { type: 'video', ...video, caption };
+  }
+
+  quoteBlock($, element, link) {
+    const cite = clean(element.find('cite, footer').first().text()) || null;
+    const body = element.clone();
+    body.find('cite, footer').remove();
+    const text = clean(body.text());
+    if (!text) return null;
+    return { type: 'quote', text, cite, url: toAbsoluteUrl(element.attr('cite'), link) || toAbsoluteUrl(element.find('a[href]').last().attr('href'), link) };
+  }
+
+  reviewBlock($, element) {
+    const { score: scoreSelector, verdict, pros, cons, scale = 10 } = this.review;
+    const scoreText = clean(scoreSelector ? element.find(scoreSelector).first().text() : element.text());
+    const fraction = scoreText.match(SCORE_PATTERN);
+    const number = fraction ? fraction[1] : (scoreText.match(/\d+(?:[.,]\d+)?/) || [])[0];
+    const text = selector => (selector ? clean(element.find(selector).first().text()) || null : null);
+    const items = selector => (selector ? element.find(selector).toArray().map(li => clean($(li).text())).filter(Boolean) : []);
+    const block = {
+      type: 'review',
+      score: number ? parseFloat(number.replace(',', '.')) : null,
+      scale: fraction ? parseInt(fraction[2]) : scale,
+      verdict: text(verdict),
+      pros: items(pros),
+      cons: items(cons)
+    };
+    return block.score !== null || block.verdict ? block : null;
+  }
+}
+
+module.exports = ArticleExtractor;
+module.exports.toContentParts = toContentParts;
@@ -0,0 +1,12 @@
+const ArticleExtractor = require('./ArticleExtractor');
+const pcgamer = require('./pcgamer');
+const gamerant = require('./gamerant');
+
+// Unregistered sites: generic article markup plus the ignore rules of the
+// publishing platforms we see most often (Future plc, Valnet)
+module.exports = new ArticleExtractor({
+  id: 'default',
+  contentSelector: 'article, .content',
+  ignoreClasses: [...pcgamer.ignoreClasses, ...gamerant.ignoreClasses],
+  ignoreTexts: pcgamer.ignoreTexts
+});
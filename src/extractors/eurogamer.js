@@ -0,0 +1,6 @@
+const ArticleExtractor = require('./ArticleExtractor');
+
+module.exports = new ArticleExtractor({
+  id: 'eurogamer',
+  contentSelector: '.article_body'
+});
@@ -0,0 +1,7 @@
+const ArticleExtractor = require('./ArticleExtractor');
+
+module.exports = new ArticleExtractor({
+  id: 'gamerant',
+  contentSelector: '.article-body, .content-block-regular',
+  ignoreClasses: ['display-card-main-content-wrapper']
+});
@@ -0,0 +1,14 @@
+const ArticleExtractor = require('./ArticleExtractor');
+
+module.exports = new ArticleExtractor({
+  id: 'gamespot',
+  contentSelector: '.article-body',
+  ignoreClasses: ['ad'],
+  review: {
+    selector: '.review-breakdown',
+    score: '.review-ring-score__score',
+    verdict: '.review-ring-score__verdict',
+    pros: '.pros-cons__list--good li',
+    cons: '.pros-cons__list--bad li'
+  }
+});
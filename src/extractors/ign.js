@@ -0,0 +1,8 @@
+const ArticleExtractor = require('./ArticleExtractor');
+
+module.exports = new ArticleExtractor({
+  id: 'ign',
+  contentSelector: '.article-content',
+  ignoreClasses: ['advertisement'],
+  review: { selector: '.review-score-box', score: '.review-score', verdict: '.review-verdict' }
+});
@@ -0,0 +1,17 @@
+const sources = require('../utils/sources');
+const defaultExtractor = require('./default');
+
+// Keyed by source id from src/config/sources.js
+const extractors = [
+  require('./ign'),
+  require('./gamespot'),
+  require('./pcgamer'),
+  require('./gamerant'),
+  require('./thegamer'),
+  require('./eurogamer'),
+  require('./polygon')
+].reduce((acc, extractor) => ({ ...acc, [extractor.id]: extractor }), {});
+
+const getExtractor = link => extractors[sources.findSourceByUrl(link)?.id] || defaultExtractor;
+
+module.exports = { getExtractor, extractors, defaultExtractor };
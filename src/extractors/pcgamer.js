@@ -0,0 +1,36 @@
+const ArticleExtractor = require('./ArticleExtractor');
+
+// Future plc markup: author bios and newsletter slices use generated class names
+// that change between redesigns, keep them in sync with the fixture.
+module.exports = new ArticleExtractor({
+  id: 'pcgamer',
+  contentSelector: '.content-wrapper',
+  ignoreClasses: [
+    'newsletter-form__wrapper',
+    'newsletter-form__wrapper--inbodyContent',
+    'slice-container',
+    'slice-author-bio',
+    'authorBio-swuqazpYSZeXGJMSzXNqBJ',
+    'slice-container-authorBio',
+    'person-wrapper',
+    'person-nBZd4MkT7sYaFmc8BsVcQ5-fSwi155TTodmvyQm7jW5mmjqEoPoLFik',
+    'slice-container-person',
+    'person__bio'
+  ],
+  ignoreSelectors: ['h2:has(p, a, span)'],
+  ignoreTexts: [
+    'The biggest gaming news, reviews and hardware deals',
+    'Keep up to date with the most important stories and the best deals, as picked by the PC Gamer team',
+    'You must confirm your public display name before commenting',
+    'Please logout and then login again, you will then be prompted to enter your display name.'
+  ],
+  // PC Gamer scores out of 100
+  review: {
+    selector: '.pretty-verdict',
+    score: '.pretty-verdict__score',
+    verdict: '.pretty-verdict__verdict',
+    pros: '.pretty-verdict__pros li',
+    cons: '.pretty-verdict__cons li',
+    scale: 100
+  }
+});
@@ -0,0 +1,6 @@
+const ArticleExtractor = require('./ArticleExtractor');
+
+module.exports = new ArticleExtractor({
+  id: 'polygon',
+  contentSelector: '.content-block-regular'
+});
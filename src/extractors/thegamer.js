@@ -0,0 +1,7 @@
+const ArticleExtractor = require('./ArticleExtractor');
+
+module.exports = new ArticleExtractor({
+  id: 'thegamer',
+  contentSelector: '.content, .content-block-regular',
+  ignoreClasses: ['ad', 'display-card-main-content-wrapper']
+});
@@ -0,0 +1,34 @@
+const { ApiError } = require('../utils/errors');
+const apiKeyService = require('../services/apiKeyService');
+const { hasScope } = require('../services/apiKeyService');
+
+// Keys are sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`
+const presentedKey = req => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme && scheme.toLowerCase() === 'bearer' && token) return token.trim();
+  return req.get('X-API-Key') || null;
+};
+
+// The request's API key, looked up once per request; null without a valid key
+const identify = async req => {
+  if (req.apiKey === undefined) req.apiKey = await apiKeyService.authenticate(presentedKey(req));
+  return req.apiKey;
+};
+
+// Lets the request through when its API key has `scope`.
+// 401 without a valid key, 403 when the key lacks the scope.
+const requireScope = scope => async (req, res, next) => {
+  try {
+    const apiKey = await identify(req);
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return next(new ApiError('A valid API key is required', 401));
+    }
+    if (!hasScope(apiKey, scope)) return next(new ApiError(`API key lacks the ${scope} scope`, 403));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { presentedKey, identify, requireScope };
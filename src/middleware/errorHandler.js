@@ -1,26 +1,21 @@
 const logger = require('../utils/logger');
 const { ApiError } = require('../utils/errors');
+const { failure } = require('../utils/response');
 
 function errorHandler(err, req, res, next) {
   logger.error(err);
 
   if (err instanceof ApiError) {
-    return res.status(err.statusCode).json({
-      success: false,
-      error: {
-        message: err.message,
-        code: err.statusCode
-      }
-    });
+    return res.status(err.statusCode).json(failure(err.message, err.statusCode, err.details));
   }
 
-  res.status(500).json({
-    success: false,
-    error: {
-      message: 'Internal server error',
-      code: 500
-    }
-  });
+  res.status(500).json(failure('Internal server error', 500));
 }
 
-module.exports = errorHandler;
\ No newline at end of file
+// Unmatched API paths answer with the envelope instead of Express' HTML page
+function notFound(req, res, next) {
+  next(new ApiError(`Route not found: ${req.method} ${req.originalUrl}`, 404));
+}
+
+module.exports = errorHandler;
+module.exports.notFound = notFound;
\ No newline at end of file
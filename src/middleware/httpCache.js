@@ -0,0 +1,30 @@
+const policies = require('../config/httpCache');
+const { lastModifiedOf } = require('../utils/httpCache');
+
+// Sets the Cache-Control of the `policy` (config/httpCache.js, or a function of
+// the request naming one) on successful responses and Last-Modified from the
+// newest pubDate of JSON data. Express adds the ETag and answers
+// If-None-Match / If-Modified-Since with a 304 in res.send.
+const httpCache = policy => (req, res, next) => {
+  const name = typeof policy === 'function' ? policy(req) : policy;
+  const { json, send } = res;
+  res.json = function (body) {
+    if (!res.get('Last-Modified')) {
+      const lastModified = res.statusCode < 300 && lastModifiedOf(body?.data);
+      if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+    }
+    return json.call(this, body);
+  };
+  res.send = function (body) {
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      res.set('Cache-Control', policies[name]);
+    } else {
+      res.set('Cache-Control', 'no-store');
+      res.removeHeader('Last-Modified');
+    }
+    return send.call(this, body);
+  };
+  next();
+};
+
+module.exports = httpCache;
@@ -0,0 +1,55 @@
+const { query } = require('express-validator');
+const { getSourceIds } = require('../utils/sources');
+const { toList } = require('../utils/query');
+const { decodeCursor } = require('../utils/cursor');
+const { PLATFORMS } = require('../utils/platforms');
+const News = require('../models/news');
+const classifierService = require('../services/classifierService');
+const reviewService = require('../services/reviewService');
+
+const sourceFilters = [
+  query('source').optional().isIn(getSourceIds()).withMessage('Unknown source'),
+  query('sources').optional()
+    .custom(value => toList(value).every(id => getSourceIds().includes(id)))
+    .withMessage('Unknown source in sources')
+];
+
+// Comma separated or repeated; matches items on any of the listed platforms
+const platformFilters = [
+  query('platform').optional()
+    .custom(value => toList(value).every(platform => PLATFORMS.includes(platform)))
+    .withMessage(`Unknown platform, expected one of: ${PLATFORMS.join(', ')}`)
+];
+
+const categoryFilters = [
+  query('category').optional().isIn(News.schema.path('category').enumValues).withMessage('Unknown category')
+];
+
+const newsFilters = [
+  ...categoryFilters,
+  query('tags').optional()
+    .custom(value => toList(value).every(tag => classifierService.tags.includes(tag)))
+    .withMessage('Unknown tag in tags'),
+  // Slugs and ids are replaced by the game's _id for the query
+  query('game').optional()
+    .customSanitizer(async value => (await reviewService.findGame(String(value)))?.game._id ?? null)
+    .custom(value => value !== null)
+    .withMessage('Unknown game'),
+  ...platformFilters,
+  query('date').optional().isISO8601().withMessage('Date must be in ISO format (YYYY-MM-DD)'),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  ...sourceFilters
+];
+
+const pageFilters = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const paginationFilters = [
+  ...pageFilters,
+  query('cursor').optional().custom(value => Boolean(decodeCursor(value))).withMessage('Invalid cursor')
+];
+
+module.exports = { sourceFilters, platformFilters, categoryFilters, newsFilters, pageFilters, paginationFilters };
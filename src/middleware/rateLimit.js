@@ -0,0 +1,31 @@
+const logger = require('../utils/logger');
+const { failure } = require('../utils/response');
+const { windowMs } = require('../config/rateLimits');
+const { identify } = require('./auth');
+const rateLimitService = require('../services/rateLimitService');
+
+// Limits requests per client and route group (config/rateLimits.js) and
+// reports the budget in the draft-7 RateLimit/RateLimit-Policy headers
+const rateLimit = async (req, res, next) => {
+  let client;
+  let result;
+  try {
+    const apiKey = await identify(req);
+    client = rateLimitService.clientOf(req, apiKey);
+    result = await rateLimitService.consume({ path: req.path, client, tier: rateLimitService.tierOf(apiKey) });
+  } catch (error) {
+    // An unavailable store must not take the API down with it
+    logger.warn('Rate limit check failed:', { message: error.message });
+    return next();
+  }
+  if (!result) return next();
+  const reset = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+  res.set('RateLimit-Policy', `${result.limit};w=${Math.round(windowMs / 1000)}`);
+  res.set('RateLimit', `limit=${result.limit}, remaining=${result.remaining}, reset=${reset}`);
+  if (!result.limited) return next();
+  logger.warn(`Rate limit exceeded for ${client} on ${result.group} routes`);
+  res.set('Retry-After', String(reset));
+  res.status(429).json(failure('Too many requests', 429));
+};
+
+module.exports = rateLimit;
@@ -1,12 +1,10 @@
 const { validationResult } = require('express-validator');
+const { failure } = require('../utils/response');
 
 const validate = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      errors: errors.array()
-    });
+    return res.status(400).json(failure('Invalid request', 400, errors.array()));
   }
   next();
 };
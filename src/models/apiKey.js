@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { KEY_TIERS } = require('../config/rateLimits');
+
+const SCOPES = ['read', 'admin', 'ingest'];
+
+// An API key; only the SHA-256 of the key is stored, the key itself is shown once
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  hash: { type: String, required: true, unique: true, select: false },
+  // First characters of the key, to tell keys apart in listings
+  prefix: { type: String, required: true },
+  // `admin` grants every scope
+  scopes: { type: [{ type: String, enum: SCOPES }], default: ['read'] },
+  // Rate limit tier, see src/config/rateLimits.js
+  tier: { type: String, enum: KEY_TIERS, default: 'standard' },
+  expiresAt: Date,
+  revokedAt: Date,
+  lastUsedAt: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Parsed article body, stored apart from News so list endpoints stay light
+const articleSchema = new mongoose.Schema({
+  link: { type: String, required: true, unique: true },
+  news: { type: mongoose.Schema.Types.ObjectId, ref: 'News', index: true },
+  // Structured blocks (paragraph, heading, list, table, image, video, quote, review)
+  blocks: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+  // Legacy text/html parts derived from blocks
+  contentParts: [{
+    _id: false,
+    type: { type: String, required: true },
+    content: { type: String, required: true }
+  }],
+  fetchedAt: { type: Date, required: true }
+});
+
+module.exports = mongoose.model('Article', articleSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A cached value of the mongo cache backend, stored as JSON
+const cacheEntrySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: String, required: true },
+  tags: { type: [String], index: true },
+  // Served as is until freshUntil, then stale (and refreshed) until expiresAt
+  freshUntil: { type: Date, required: true },
+  expiresAt: { type: Date, required: true }
+});
+
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
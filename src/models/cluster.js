@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// A story covered by several outlets; members point here via News.cluster
+const clusterSchema = new mongoose.Schema({
+  canonical: { type: mongoose.Schema.Types.ObjectId, ref: 'News', required: true },
+  size: { type: Number, default: 1 },
+  sources: [String],
+  firstPubDate: Date,
+  lastPubDate: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model('Cluster', clusterSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Health of one registry feed, updated after every ingestion attempt
+const feedStatusSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  kind: { type: String, required: true },
+  url: String,
+  lastAttemptAt: Date,
+  lastSuccessAt: Date,
+  lastError: {
+    message: String,
+    at: Date
+  },
+  itemCount: { type: Number, default: 0 },
+  latencyMs: Number,
+  attempts: Number,
+  consecutiveFailures: { type: Number, default: 0 },
+  // Conditional fetching: validators sent back to the origin and the time
+  // until which ttl/Cache-Control hints say the feed cannot have changed
+  etag: String,
+  lastModified: String,
+  nextFetchAt: Date,
+  // Counters since the record was created; notModified + deferred are saved downloads
+  metrics: {
+    requests: { type: Number, default: 0 },
+    fetched: { type: Number, default: 0 },
+    notModified: { type: Number, default: 0 },
+    deferred: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    bytes: { type: Number, default: 0 }
+  }
+}, { timestamps: true });
+
+feedStatusSchema.index({ source: 1, kind: 1 }, { unique: true });
+
+module.exports = mongoose.model('FeedStatus', feedStatusSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A reviewed game; reviews of the same title from several outlets share one Game
+const gameSchema = new mongoose.Schema({
+  // Normalized title, see utils/reviews.js gameKey
+  key: { type: String, required: true, unique: true },
+  title: { type: String, required: true },
+  // URL id derived from the title; former slugs stay reachable through `aliases`
+  slug: { type: String, unique: true, sparse: true },
+  aliases: { type: [String], index: true },
+  image: String,
+  // Mean of the outlets' latest scores, out of 10; null until a review has a score
+  score: { type: Number, min: 0, max: 10, default: null },
+  reviewCount: { type: Number, default: 0 },
+  scoredReviewCount: { type: Number, default: 0 },
+  sources: [String],
+  // Platforms named by its reviews
+  platforms: { type: [String], index: true },
+  // Listed in src/config/games.js: kept even without reviews
+  curated: Boolean,
+  firstReviewedAt: Date,
+  lastReviewedAt: Date
+}, { timestamps: true });
+
+gameSchema.index({ score: -1, scoredReviewCount: -1, lastReviewedAt: -1 });
+
+module.exports = mongoose.model('Game', gameSchema);
@@ -11,7 +11,31 @@ const mongoose = require('mongoose');
        type: String,
        enum: ['rumors', 'recommendations', 'polls', 'soon', 'update'],
        required: true
-     }
-   });
+     },
+     source: { type: String, index: true },
+     // Registry feed kind the item came from (news, reviews)
+     feed: { type: String, default: 'news' },
+     // Multi-label classification, see services/classifierService.js
+     tags: { type: [String], index: true },
+     confidence: { type: Number, min: 0, max: 1 },
+     classifierVersion: { type: String, index: true, select: false },
+     // Platforms the item is about, see src/config/platforms.js
+     platforms: { type: [String], index: true },
+     // Games mentioned in the headline, see services/gameLinkService.js
+     games: { type: [mongoose.Schema.Types.ObjectId], ref: 'Game', index: true },
+     // Near-duplicate clustering, see services/clusterService.js
+     cluster: { type: mongoose.Schema.Types.ObjectId, ref: 'Cluster', index: true },
+     isCanonical: { type: Boolean, default: true },
+     titleTokens: { type: [String], select: false },
+     entities: { type: [String], select: false }
+   }, { timestamps: true });
 
-   module.exports = mongoose.model('News', newsSchema);
\ No newline at end of file
+   newsSchema.index({ source: 1, pubDate: -1 });
+   newsSchema.index({ pubDate: -1, _id: -1 });
+   newsSchema.index({ titleTokens: 1, pubDate: -1 });
+   newsSchema.index(
+     { title: 'text', description: 'text', author: 'text' },
+     { name: 'news_text', weights: { title: 10, description: 4, author: 1 } }
+   );
+
+   module.exports = mongoose.model('News', newsSchema);
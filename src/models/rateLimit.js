@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Request counter of one client and route group for one fixed window
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  windowStart: { type: Date, required: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+});
+
+rateLimitSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
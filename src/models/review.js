@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One outlet's review of a game, taken from the registry's review feeds
+const reviewSchema = new mongoose.Schema({
+  game: { type: mongoose.Schema.Types.ObjectId, ref: 'Game', required: true, index: true },
+  source: { type: String, required: true },
+  link: { type: String, required: true, unique: true },
+  title: { type: String, required: true },
+  description: String,
+  author: String,
+  image: String,
+  pubDate: { type: Date, required: true },
+  // Score on the outlet's own scale and the same score out of 10
+  score: { type: Number, default: null },
+  scale: Number,
+  normalizedScore: { type: Number, min: 0, max: 10, default: null },
+  verdict: String,
+  platforms: [String],
+  // Where the score was read: the feed snippet or the article's score box
+  scoreOrigin: { type: String, enum: ['feed', 'article'] },
+  // Set once the article page has been checked for a score
+  scrapedAt: Date
+}, { timestamps: true });
+
+reviewSchema.index({ normalizedScore: 1, scrapedAt: 1, pubDate: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A webhook receiving newly ingested news that match its filters.
+// Empty filter lists match everything; all given lists must match.
+const subscriptionSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  description: String,
+  // HMAC-SHA256 key of the payload signature, only shown when created
+  secret: { type: String, required: true, select: false },
+  filters: {
+    categories: [String],
+    sources: [String],
+    // Case-insensitive, matched against title and description; any of them
+    keywords: [String],
+    games: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Game' }]
+  },
+  active: { type: Boolean, default: true, index: true },
+  consecutiveFailures: { type: Number, default: 0 },
+  // Set when repeated failures disabled the subscription
+  disabledAt: Date,
+  disabledReason: String,
+  lastDeliveryAt: Date,
+  lastSuccessAt: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const LOG_DAYS = parseInt(process.env.WEBHOOK_LOG_DAYS) || 30;
+
+// One webhook call (with its retries) to a subscription, kept LOG_DAYS days
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', required: true },
+  event: { type: String, required: true },
+  news: [{ type: mongoose.Schema.Types.ObjectId, ref: 'News' }],
+  success: { type: Boolean, required: true },
+  attempts: Number,
+  statusCode: Number,
+  error: String,
+  durationMs: Number
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: LOG_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,91 @@
+const express = require('express');
+const { query } = require('express-validator');
+const cacheController = require('../controllers/cacheController');
+const validate = require('../middleware/validate');
+const { requireScope } = require('../middleware/auth');
+const httpCache = require('../middleware/httpCache');
+const { toList } = require('../utils/query');
+
+const router = express.Router();
+
+router.use(requireScope('admin'), httpCache('private'));
+
+/**
+ * @swagger
+ * /cache:
+ *   get:
+ *     tags: [Cache]
+ *     summary: Response cache statistics
+ *     description: Hits, stale hits (served while refreshed) and misses since the process started, in total and per area (news, feed, games, feeds)
+ *     security:
+ *       - ApiKey: []
+ *     responses:
+ *       200:
+ *         description: Cache statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     backend:
+ *                       type: string
+ *                       enum: [memory, mongo]
+ *                     size:
+ *                       type: integer
+ *                       nullable: true
+ *                     maxEntries:
+ *                       type: integer
+ *                       nullable: true
+ *                     since:
+ *                       type: string
+ *                       format: date-time
+ *                     hits:
+ *                       type: integer
+ *                     stale:
+ *                       type: integer
+ *                     misses:
+ *                       type: integer
+ *                     errors:
+ *                       type: integer
+ *                     hitRate:
+ *                       type: number
+ *                       nullable: true
+ *                     invalidated:
+ *                       type: integer
+ *                     areas:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: object
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key lacks the admin scope
+ *   delete:
+ *     tags: [Cache]
+ *     summary: Invalidate cached responses
+ *     security:
+ *       - ApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: tag
+ *         description: Comma separated tags (news:latest, news:feed, news:sources, games:top, feeds:<source>); `news:*` matches every news tag. Without tags the whole cache is cleared.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The tags and the number of entries dropped
+ */
+router.get('/', cacheController.getStats);
+router.delete('/', [
+  query('tag').optional()
+    .custom(value => toList(value).every(tag => /^[\w-]+(:[\w-]+)*(:\*)?$/.test(tag)))
+    .withMessage('Tags look like news:latest or news:*'),
+  validate
+], cacheController.invalidate);
+
+module.exports = router;
@@ -1,23 +1,16 @@
 const express = require('express');
-const router = express.Router();
+const feedsController = require('../controllers/feedsController');
+const sources = require('../utils/sources');
+const validate = require('../middleware/validate');
+const httpCache = require('../middleware/httpCache');
+const { pageFilters, platformFilters } = require('../middleware/newsFilters');
 
-const gamespotNewsController = require('../controllers/gamespotNewsController');
-const gamespotReviewsController = require('../controllers/gamespotReviewsController');
-const polygonController = require('../controllers/polygonController');
-const kotakuController = require('../controllers/kotakuController');
-const eurogamerController = require('../controllers/eurogamerController');
-const pcgamerController = require('../controllers/pcgamerController');
-const newsController = require('../controllers/newsController'); // IGN news
+const router = express.Router();
 
-// GameSpot endpoints
-router.get('/gamespot/news', gamespotNewsController.getNews);
-router.get('/gamespot/reviews', gamespotReviewsController.getReviews);
+// Feeds of region-restricted outlets answer 403 elsewhere, so shared caches must not keep them
+const feedPolicy = req => (sources.getSource(req.params.source)?.regions ? 'regionalFeeds' : 'feeds');
 
-// Other sources
-router.get('/polygon', polygonController.getFeed);
-router.get('/kotaku', kotakuController.getFeed);
-router.get('/eurogamer', eurogamerController.getFeed);
-router.get('/pcgamer', pcgamerController.getFeed);
-router.get('/ign/news', newsController.getLatestNews);
+// Any source from src/config/sources.js, e.g. /polygon or /gamespot/reviews
+router.get('/:source/:feed?', [httpCache(feedPolicy), ...pageFilters, ...platformFilters, validate], feedsController.getFeed);
 
 module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
-const { param } = require('express-validator');
+const { param, query } = require('express-validator');
 const gamesController = require('../controllers/gamesController');
 const validate = require('../middleware/validate');
+const { requireScope } = require('../middleware/auth');
+const httpCache = require('../middleware/httpCache');
+const { pageFilters, platformFilters } = require('../middleware/newsFilters');
 
 const router = express.Router();
 
@@ -12,37 +15,114 @@ const router = express.Router();
  *     Game:
  *       type: object
  *       properties:
+ *         _id:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           description: Readable id derived from the title, usable in place of _id
+ *         key:
+ *           type: string
+ *           description: Normalized title shared by every outlet's review of the game
  *         title:
  *           type: string
  *           description: The title of the game
- *         description:
+ *         image:
+ *           type: string
+ *           description: URL to the game's image
+ *         score:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Mean of each outlet's latest score, out of 10
+ *         reviewCount:
+ *           type: integer
+ *         scoredReviewCount:
+ *           type: integer
+ *         sources:
+ *           type: array
+ *           items:
+ *             type: string
+ *         platforms:
+ *           type: array
+ *           items:
+ *             type: string
+ *         firstReviewedAt:
+ *           type: string
+ *           format: date-time
+ *         lastReviewedAt:
+ *           type: string
+ *           format: date-time
+ *     Review:
+ *       type: object
+ *       properties:
+ *         source:
+ *           type: string
+ *         title:
  *           type: string
- *           description: Game description or review excerpt
  *         link:
  *           type: string
  *           description: URL to the full review
+ *         author:
+ *           type: string
  *         pubDate:
  *           type: string
  *           format: date-time
- *           description: Review publication date
  *         score:
  *           type: number
- *           format: float
- *           description: Game review score out of 10
- *         image:
+ *           nullable: true
+ *           description: Score on the outlet's own scale
+ *         scale:
+ *           type: number
+ *           description: Maximum of the outlet's scale (5, 10, 20 or 100)
+ *         normalizedScore:
+ *           type: number
+ *           nullable: true
+ *           description: Score out of 10
+ *         verdict:
  *           type: string
- *           description: URL to the game's image
+ *         scoreOrigin:
+ *           type: string
+ *           enum: [feed, article]
+ *     GameDetails:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Game'
+ *         - type: object
+ *           properties:
+ *             reviews:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Review'
+ *             news:
+ *               type: array
+ *               description: Latest news mentioning the game
+ *               items:
+ *                 $ref: '#/components/schemas/NewsItem'
  */
 
 /**
  * @swagger
- * /api/games/top:
+ * /games/top:
  *   get:
  *     tags: [Games]
  *     summary: Get top rated games
- *     description: Retrieves a list of top-rated games with their reviews
+ *     description: Reviewed games ranked by their aggregate score across IGN and GameSpot reviews
  *     parameters:
  *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Filter by game title
+ *       - in: query
+ *         name: platform
+ *         description: Comma separated platforms (playstation, xbox, switch, pc, mobile); items on any of them match
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [playstation, xbox, switch, pc, mobile]
+ *         style: form
+ *         explode: false
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -54,6 +134,7 @@ const router = express.Router();
  *           type: integer
  *           default: 10
  *         description: Number of items per page
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: List of top rated games
@@ -69,33 +150,37 @@ const router = express.Router();
  *                   items:
  *                     $ref: '#/components/schemas/Game'
  *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 meta:
  *                   type: object
  *                   properties:
- *                     current:
- *                       type: integer
- *                     total:
- *                       type: integer
- *                     hasMore:
- *                       type: boolean
+ *                     message:
+ *                       type: string
  *       500:
  *         description: Server error
  */
-router.get('/top', gamesController.getTopGames);
+router.get('/top', [
+  httpCache('topGames'),
+  ...pageFilters,
+  query('q').optional().isString().withMessage('Query must be a string'),
+  ...platformFilters,
+  validate
+], gamesController.getTopGames);
 
 /**
  * @swagger
- * /api/games/{id}:
+ * /games/{id}:
  *   get:
  *     tags: [Games]
  *     summary: Get game details by ID
- *     description: Retrieves detailed information about a specific game
+ *     description: A game with its aggregate score, every stored review and related news
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Game identifier from the URL
+ *         description: Game _id or slug
  *     responses:
  *       200:
  *         description: Detailed game information
@@ -107,15 +192,114 @@ router.get('/top', gamesController.getTopGames);
  *                 success:
  *                   type: boolean
  *                 data:
- *                   $ref: '#/components/schemas/Game'
+ *                   $ref: '#/components/schemas/GameDetails'
+ *       301:
+ *         description: The slug was renamed; Location holds the current URL
  *       404:
  *         description: Game not found
  *       500:
  *         description: Server error
  */
 router.get('/:id', [
+  httpCache('gameDetails'),
   param('id').notEmpty().trim(),
   validate
 ], gamesController.getGameById);
 
+/**
+ * @swagger
+ * /games/{id}/news:
+ *   get:
+ *     tags: [Games]
+ *     summary: News about a game
+ *     description: News items whose headline mentions the game, newest first
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Game _id or slug
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Linked news
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NewsItem'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     game:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         slug:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *       301:
+ *         description: The slug was renamed; Location holds the current URL
+ *       404:
+ *         description: Game not found
+ */
+router.get('/:id/news', [
+  httpCache('gameDetails'),
+  param('id').notEmpty().trim(),
+  ...pageFilters,
+  validate
+], gamesController.getGameNews);
+
+/**
+ * @swagger
+ * /games/relink:
+ *   post:
+ *     tags: [Games]
+ *     summary: Link stored news to games again
+ *     description: Re-runs game detection on every stored headline, e.g. after editing src/config/games.js
+ *     security:
+ *       - ApiKey: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     scanned:
+ *                       type: integer
+ *                     changed:
+ *                       type: integer
+ *       500:
+ *         description: Server error
+ */
+router.post('/relink', requireScope('admin'), gamesController.relinkNews);
+
 module.exports = router;
\ No newline at end of file
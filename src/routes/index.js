@@ -1,39 +1,26 @@
 const express = require('express');
-const { query } = require('express-validator');
-const newsController = require('../controllers/newsController');
-const validate = require('../middleware/validate');
+const newsRoutes = require('./newsRoutes');
+const gamesRoutes = require('./gamesRoutes');
+const feedsRoutes = require('./feedsRoutes');
+const subscriptionsRoutes = require('./subscriptionsRoutes');
+const keysRoutes = require('./keysRoutes');
+const rateLimitsRoutes = require('./rateLimitsRoutes');
+const cacheRoutes = require('./cacheRoutes');
+const rateLimit = require('../middleware/rateLimit');
+const { notFound } = require('../middleware/errorHandler');
 
+// Every router of the API; server.js mounts this under /api/v1 (and /api for old clients)
 const router = express.Router();
 
-// Получение последних новостей
-router.get('/latest', newsController.getLatestNews);
+router.use(rateLimit);
 
-// Поиск новостей
-router.get('/search', [
-  query('q').notEmpty().trim().escape(),
-  validate
-], newsController.searchNews);
-
-// Получение новостей по дате
-router.get('/latest-by-date', [
-  query('date').notEmpty().isISO8601().withMessage('Date must be in ISO format (YYYY-MM-DD)'),
-  validate
-], newsController.getNewsByDate);
-
-// Обновление новостей
-router.post('/fetch', async (req, res) => {
-  try {
-    await newsController.fetchNews();
-    res.json({ success: true, message: 'News fetched and saved' });
-  } catch (error) {
-    logger.error('Fetch news error:', { message: error.message, stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to fetch news' });
-  }
-});
-
-router.get('/article', [
-query('link').notEmpty(),
-validate
-], newsController.parseArticle);
+router.use('/news', newsRoutes);
+router.use('/games', gamesRoutes);
+router.use('/feeds', feedsRoutes);
+router.use('/subscriptions', subscriptionsRoutes);
+router.use('/keys', keysRoutes);
+router.use('/rate-limits', rateLimitsRoutes);
+router.use('/cache', cacheRoutes);
+router.use(notFound);
 
 module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const keysController = require('../controllers/keysController');
+const validate = require('../middleware/validate');
+const { requireScope } = require('../middleware/auth');
+const httpCache = require('../middleware/httpCache');
+const { pageFilters } = require('../middleware/newsFilters');
+const { SCOPES } = require('../models/apiKey');
+const { KEY_TIERS } = require('../config/rateLimits');
+
+const router = express.Router();
+
+router.use(requireScope('admin'), httpCache('private'));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [read, admin, ingest]
+ *         tier:
+ *           type: string
+ *           enum: [standard, premium]
+ *           description: Rate limit tier
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /keys:
+ *   post:
+ *     tags: [Keys]
+ *     summary: Create an API key
+ *     description: The key is only returned by this response; the server keeps its SHA-256 hash. `admin` grants every scope.
+ *     security:
+ *       - ApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 default: [read]
+ *                 items:
+ *                   type: string
+ *                   enum: [read, admin, ingest]
+ *               tier:
+ *                 type: string
+ *                 enum: [standard, premium]
+ *                 default: standard
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: The stored key with the `key` itself
+ *       400:
+ *         description: Invalid request
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key lacks the admin scope
+ *   get:
+ *     tags: [Keys]
+ *     summary: List API keys
+ *     security:
+ *       - ApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: API keys, newest first, without their secret part
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key lacks the admin scope
+ */
+router.post('/', [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be a string of 1 to 100 characters'),
+  body('scopes').optional()
+    .custom(value => Array.isArray(value) && value.length && value.every(scope => SCOPES.includes(scope)))
+    .withMessage(`Scopes must be a non-empty array of: ${SCOPES.join(', ')}`),
+  body('tier').optional().isIn(KEY_TIERS).withMessage(`Tier must be one of: ${KEY_TIERS.join(', ')}`),
+  body('expiresAt').optional().isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date()).withMessage('expiresAt must be in the future'),
+  validate
+], keysController.createKey);
+router.get('/', [...pageFilters, validate], keysController.listKeys);
+
+/**
+ * @swagger
+ * /keys/{id}:
+ *   delete:
+ *     tags: [Keys]
+ *     summary: Revoke an API key
+ *     description: The key stops authenticating at once; its record is kept
+ *     security:
+ *       - ApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The revoked key
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid API key id'),
+  validate
+], keysController.revokeKey);
+
+module.exports = router;
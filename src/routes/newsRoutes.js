@@ -1,7 +1,11 @@
 const express = require('express');
 const { query } = require('express-validator');
 const newsController = require('../controllers/newsController');
+const feedsController = require('../controllers/feedsController');
 const validate = require('../middleware/validate');
+const { requireScope } = require('../middleware/auth');
+const httpCache = require('../middleware/httpCache');
+const { sourceFilters, platformFilters, categoryFilters, newsFilters, pageFilters, paginationFilters } = require('../middleware/newsFilters');
 const router = express.Router();
 
 /**
@@ -27,6 +31,190 @@ const router = express.Router();
  *         category:
  *           type: string
  *           enum: [rumors, recommendations, polls, soon, update]
+ *         source:
+ *           type: string
+ *           description: Source id from the source registry
+ *         tags:
+ *           type: array
+ *           description: Labels assigned by the classifier (review, rumor, trailer, deal, hardware, esports, ...)
+ *           items:
+ *             type: string
+ *         confidence:
+ *           type: number
+ *           description: Classifier confidence (0-1) for `category`; 0 when the feed's fallback category was used
+ *         platforms:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [playstation, xbox, switch, pc, mobile]
+ *         games:
+ *           type: array
+ *           description: Ids of the games the headline mentions
+ *           items:
+ *             type: string
+ *         cluster:
+ *           type: string
+ *           nullable: true
+ *           description: Story cluster shared with other outlets' coverage
+ *         isCanonical:
+ *           type: boolean
+ *           description: Whether this item represents its story (earliest published)
+ *         related:
+ *           type: array
+ *           description: Only with `collapse=true` - other outlets covering the same story
+ *           items:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               link:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *               pubDate:
+ *                 type: string
+ *                 format: date-time
+ *     SourceStats:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         count:
+ *           type: integer
+ *         latestPubDate:
+ *           type: string
+ *           format: date-time
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Last successful fetch of any of the source's feeds
+ *     FeedStatus:
+ *       type: object
+ *       properties:
+ *         source:
+ *           type: string
+ *         kind:
+ *           type: string
+ *         healthy:
+ *           type: boolean
+ *           description: Last attempt succeeded
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastSuccessAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastError:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             message:
+ *               type: string
+ *             at:
+ *               type: string
+ *               format: date-time
+ *         itemCount:
+ *           type: integer
+ *           description: Items in the feed on the last successful fetch
+ *         latencyMs:
+ *           type: integer
+ *           description: Duration of the last attempt
+ *         attempts:
+ *           type: integer
+ *           description: Attempts used by the last fetch, retries included
+ *         consecutiveFailures:
+ *           type: integer
+ *         nextFetchAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Until then the feed's ttl/Cache-Control hints defer fetching
+ *         metrics:
+ *           type: object
+ *           properties:
+ *             requests:
+ *               type: integer
+ *             fetched:
+ *               type: integer
+ *             notModified:
+ *               type: integer
+ *               description: Conditional requests answered with 304
+ *             deferred:
+ *               type: integer
+ *               description: Runs skipped because the feed was still fresh
+ *             failed:
+ *               type: integer
+ *             bytes:
+ *               type: integer
+ *             saved:
+ *               type: integer
+ *               description: notModified + deferred
+ *     ArticleBlock:
+ *       type: object
+ *       description: One structured content block. Fields depend on `type`; all URLs are absolute and `html` is sanitized.
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [paragraph, heading, list, table, image, video, quote, review]
+ *         text:
+ *           type: string
+ *           description: paragraph, heading, quote
+ *         html:
+ *           type: string
+ *           description: Sanitized markup for paragraph (inner), heading, list and table
+ *         level:
+ *           type: integer
+ *           description: heading level (2-4)
+ *         ordered:
+ *           type: boolean
+ *         items:
+ *           type: array
+ *           items:
+ *             type: string
+ *         header:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: array
+ *             items:
+ *               type: string
+ *         src:
+ *           type: string
+ *         alt:
+ *           type: string
+ *         caption:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           enum: [youtube, vimeo, file]
+ *         url:
+ *           type: string
+ *         embedUrl:
+ *           type: string
+ *         cite:
+ *           type: string
+ *         score:
+ *           type: number
+ *         scale:
+ *           type: number
+ *         verdict:
+ *           type: string
+ *         pros:
+ *           type: array
+ *           items:
+ *             type: string
+ *         cons:
+ *           type: array
+ *           items:
+ *             type: string
  *     PaginatedResponse:
  *       type: object
  *       properties:
@@ -37,19 +225,12 @@ const router = express.Router();
  *           items:
  *             $ref: '#/components/schemas/NewsItem'
  *         pagination:
- *           type: object
- *           properties:
- *             current:
- *               type: integer
- *             total:
- *               type: integer
- *             hasMore:
- *               type: boolean
+ *           $ref: '#/components/schemas/Pagination'
  */
 
 /**
  * @swagger
- * /api/news/latest:
+ * /news/latest:
  *   get:
  *     tags: [News]
  *     summary: Get latest gaming news
@@ -64,12 +245,42 @@ const router = express.Router();
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         description: Opaque cursor from a previous response; takes precedence over page and skips the total count
+ *         schema:
+ *           type: string
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
  *           enum: [rumors, recommendations, polls, soon, update]
  *       - in: query
+ *         name: tags
+ *         description: Comma separated or repeated tags; items must carry all of them
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *       - in: query
+ *         name: game
+ *         description: Only news about this game (slug or id)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: platform
+ *         description: Comma separated platforms (playstation, xbox, switch, pc, mobile); items on any of them match
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [playstation, xbox, switch, pc, mobile]
+ *         style: form
+ *         explode: false
+ *       - in: query
  *         name: date
  *         schema:
  *           type: string
@@ -84,6 +295,25 @@ const router = express.Router();
  *         schema:
  *           type: string
  *           format: date-time
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sources
+ *         description: Comma separated or repeated source ids
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *       - in: query
+ *         name: collapse
+ *         description: Return one entry per story, its earliest item among the requested sources available in the client's region, with the other outlets' links in `related`
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
  *         description: Success
@@ -94,20 +324,292 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/latest', newsController.getLatestNews);
+router.get('/latest', [
+  httpCache('news'),
+  ...paginationFilters,
+  ...newsFilters,
+  query('collapse').optional().isBoolean(),
+  validate
+], newsController.getLatestNews);
+
+/**
+ * @swagger
+ * /news/feed.{format}:
+ *   get:
+ *     tags: [News]
+ *     summary: Latest news as RSS 2.0, Atom 1.0 or JSON Feed 1.1
+ *     description: |
+ *       Takes the same filters as /api/news/latest. Images are published as enclosures
+ *       (JSON Feed attachments), with author, category/tags and the original outlet as source.
+ *       `/api/news/feed` picks the format from the Accept header (RSS by default), and
+ *       /api/news/latest itself answers with a feed when Accept asks for
+ *       application/rss+xml, application/atom+xml or application/feed+json.
+ *     parameters:
+ *       - in: path
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [rss, atom, json]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [rumors, recommendations, polls, soon, update]
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *       - in: query
+ *         name: game
+ *         description: Only news about this game (slug or id)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: platform
+ *         description: Comma separated platforms (playstation, xbox, switch, pc, mobile); items on any of them match
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [playstation, xbox, switch, pc, mobile]
+ *         style: form
+ *         explode: false
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sources
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: collapse
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *           application/atom+xml:
+ *             schema:
+ *               type: string
+ *           application/feed+json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Invalid query
+ *       500:
+ *         description: Server error
+ */
+router.get(['/feed', '/feed.:format(rss|atom|json)'], [
+  httpCache('feed'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('collapse').optional().isBoolean(),
+  ...newsFilters,
+  validate
+], newsController.getNewsFeed);
+
+/**
+ * @swagger
+ * /news/stream:
+ *   get:
+ *     tags: [News]
+ *     summary: Stream newly ingested news
+ *     description: |
+ *       Server-sent events. Every news item inserted by an ingestion run and matching the filters is pushed as a `news`
+ *       event whose `id` is the item's _id and whose data is the item as JSON. Reconnecting clients send the last id
+ *       in the `Last-Event-ID` header (or `lastEventId`) and first receive up to 100 items they missed.
+ *       Comment lines are sent as heartbeats.
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lastEventId
+ *         description: Same as the Last-Event-ID header, for clients that cannot set headers
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [rumors, recommendations, polls, soon, update]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sources
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *       - in: query
+ *         name: platform
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [playstation, xbox, switch, pc, mobile]
+ *         style: form
+ *         explode: false
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query
+ */
+router.get('/stream', [
+  ...categoryFilters,
+  ...sourceFilters,
+  ...platformFilters,
+  query('lastEventId').optional().isMongoId().withMessage('lastEventId must be a news item id'),
+  validate
+], newsController.streamNews);
 
 /**
  * @swagger
- * /api/news/search:
+ * /news/search:
  *   get:
  *     tags: [News]
  *     summary: Search gaming news
+ *     description: Full-text search over title, description and author, ranked by relevance. Supports "exact phrases" and -excluded terms.
  *     parameters:
  *       - in: query
  *         name: q
  *         required: true
  *         schema:
  *           type: string
+ *         example: '"elden ring" -dlc'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [rumors, recommendations, polls, soon, update]
+ *       - in: query
+ *         name: tags
+ *         description: Comma separated or repeated tags; items must carry all of them
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *       - in: query
+ *         name: game
+ *         description: Only news about this game (slug or id)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: platform
+ *         description: Comma separated platforms (playstation, xbox, switch, pc, mobile); items on any of them match
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [playstation, xbox, switch, pc, mobile]
+ *         style: form
+ *         explode: false
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sources
+ *         description: Comma separated or repeated source ids
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaginatedResponse'
+ *       400:
+ *         description: Invalid query
+ *       500:
+ *         description: Server error
+ */
+router.get('/search', [
+  httpCache('news'),
+  query('q').trim().notEmpty().isLength({ max: 200 }),
+  ...pageFilters,
+  ...newsFilters,
+  validate
+], newsController.searchNews);
+
+/**
+ * @swagger
+ * /news/sources:
+ *   get:
+ *     tags: [News]
+ *     summary: List known sources with item counts and last-seen timestamps
  *     responses:
  *       200:
  *         description: Success
@@ -121,23 +623,57 @@ router.get('/latest', newsController.getLatestNews);
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/NewsItem'
- *       400:
- *         description: Invalid query
+ *                     $ref: '#/components/schemas/SourceStats'
  *       500:
  *         description: Server error
  */
-router.get('/search', [
-  query('q').notEmpty().trim().escape(),
-  validate
-], newsController.searchNews);
+router.get('/sources', httpCache('news'), newsController.getSources);
+
+/**
+ * @swagger
+ * /news/feeds/status:
+ *   get:
+ *     tags: [News]
+ *     summary: Ingestion health of every configured feed
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeedStatus'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         failing:
+ *                           type: integer
+ *                         saved:
+ *                           type: integer
+ *                           description: Downloads avoided by conditional requests and freshness hints
+ *       500:
+ *         description: Server error
+ */
+router.get('/feeds/status', feedsController.getStatus);
 
 /**
  * @swagger
- * /api/news/latest-by-date:
+ * /news/latest-by-date:
  *   get:
  *     tags: [News]
  *     summary: Get news by date
+ *     description: Sources unavailable in the client's region are left out
  *     parameters:
  *       - in: query
  *         name: date
@@ -145,6 +681,18 @@ router.get('/search', [
  *         schema:
  *           type: string
  *           format: date
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sources
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
  *     responses:
  *       200:
  *         description: Success
@@ -165,16 +713,126 @@ router.get('/search', [
  *         description: Server error
  */
 router.get('/latest-by-date', [
+  httpCache('news'),
   query('date').notEmpty().isISO8601().withMessage('Date must be in ISO format (YYYY-MM-DD)'),
+  ...sourceFilters,
   validate
 ], newsController.getNewsByDate);
 
 /**
  * @swagger
- * /api/news/fetch:
+ * /news/fetch:
  *   post:
  *     tags: [News]
  *     summary: Fetch news from RSS
+ *     description: Requires an API key with the ingest scope. GET is accepted too, for Vercel Cron, which authenticates with CRON_SECRET as bearer token.
+ *     security:
+ *       - ApiKey: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     message:
+ *                       type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     fetched:
+ *                       type: integer
+ *                     inserted:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                     unchanged:
+ *                       type: integer
+ *                     feeds:
+ *                       type: object
+ *                       description: Feeds per outcome (fetched, not-modified, deferred, failed)
+ *                     games:
+ *                       type: object
+ *                       description: Game catalogue update from the review feeds
+ *                       properties:
+ *                         reviews:
+ *                           type: integer
+ *                         games:
+ *                           type: integer
+ *                         created:
+ *                           type: integer
+ *                           description: Games new to the catalogue
+ *                         scraped:
+ *                           type: integer
+ *                           description: Reviews whose score was read from the article page
+ *       500:
+ *         description: Server error
+ */
+// GET is what Vercel Cron sends
+router.route('/fetch')
+  .post(requireScope('ingest'), newsController.runFetch)
+  .get(requireScope('ingest'), newsController.runFetch);
+
+/**
+ * @swagger
+ * /news/retention:
+ *   post:
+ *     tags: [News]
+ *     summary: Apply the retention policies now
+ *     description: Policies (age and count limits per source/category) are configured in src/config/retention.js and also run on a schedule.
+ *     security:
+ *       - ApiKey: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     removed:
+ *                       type: integer
+ *                     policies:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           policy:
+ *                             type: string
+ *                           removed:
+ *                             type: integer
+ *       500:
+ *         description: Server error
+ */
+router.post('/retention', requireScope('admin'), newsController.runRetention);
+
+/**
+ * @swagger
+ * /news/reclassify:
+ *   post:
+ *     tags: [News]
+ *     summary: Re-apply the classifier rules to stored news
+ *     description: By default only items classified by an older rules version are updated.
+ *     security:
+ *       - ApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         description: Reclassify every stored item
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
  *         description: Success
@@ -185,24 +843,27 @@ router.get('/latest-by-date', [
  *               properties:
  *                 success:
  *                   type: boolean
- *                 message:
- *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     version:
+ *                       type: string
+ *                     scanned:
+ *                       type: integer
+ *                     changed:
+ *                       type: integer
  *       500:
  *         description: Server error
  */
-router.post('/fetch', async (req, res, next) => {
-  try {
-    await newsController.fetchNews();
-    res.json({ success: true, message: 'News fetched and saved' });
-  } catch (error) {
-    logger.error('Fetch news error:', { message: error.message, stack: error.stack });
-    next(error);
-  }
-});
+router.post('/reclassify', [
+  requireScope('admin'),
+  query('all').optional().isBoolean(),
+  validate
+], newsController.reclassifyNews);
 
 /**
  * @swagger
- * /api/news/article:
+ * /news/article:
  *   get:
  *     tags: [News]
  *     summary: Parse article content
@@ -212,6 +873,12 @@ router.post('/fetch', async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: refresh
+ *         description: Re-scrape the origin instead of serving the stored copy
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
  *         description: Success
@@ -220,22 +887,42 @@ router.post('/fetch', async (req, res, next) => {
  *             schema:
  *               type: object
  *               properties:
- *                 content:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       type:
- *                         type: string
- *                       content:
- *                         type: string
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     content:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                           content:
+ *                             type: string
+ *                     blocks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ArticleBlock'
+ *                     fetchedAt:
+ *                       type: string
+ *                       format: date-time
  *       400:
- *         description: Link required
+ *         description: Link missing or malformed
+ *       403:
+ *         description: Link is not from a known source or resolves to a private address
+ *       415:
+ *         description: Link does not point to an HTML page
+ *       502:
+ *         description: Source responded with an error, redirected too often or sent too much data
  *       500:
  *         description: Server error
  */
 router.get('/article', [
+  httpCache('article'),
   query('link').notEmpty(),
+  query('refresh').optional().isBoolean().withMessage('Refresh must be true or false'),
   validate
 ], newsController.parseArticle);
 
@@ -0,0 +1,106 @@
+const express = require('express');
+const { query } = require('express-validator');
+const rateLimitsController = require('../controllers/rateLimitsController');
+const validate = require('../middleware/validate');
+const { requireScope } = require('../middleware/auth');
+const httpCache = require('../middleware/httpCache');
+
+const router = express.Router();
+
+router.use(requireScope('admin'), httpCache('private'));
+
+/**
+ * @swagger
+ * /rate-limits:
+ *   get:
+ *     tags: [Rate limits]
+ *     summary: Rate limit configuration and current usage
+ *     description: Limits per route group and tier, and every client (API key or IP address) with requests in the current window, busiest first
+ *     security:
+ *       - ApiKey: []
+ *     responses:
+ *       200:
+ *         description: Rate limit state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     windowMs:
+ *                       type: integer
+ *                     store:
+ *                       type: string
+ *                       enum: [mongo, memory]
+ *                     tiers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     groups:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           paths:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           limits:
+ *                             type: object
+ *                             description: Requests per window by tier; null is unlimited
+ *                     clients:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           client:
+ *                             type: string
+ *                             example: ip:203.0.113.7
+ *                           group:
+ *                             type: string
+ *                           tier:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                           limit:
+ *                             type: integer
+ *                           remaining:
+ *                             type: integer
+ *                           limited:
+ *                             type: boolean
+ *                           resetAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key lacks the admin scope
+ *   delete:
+ *     tags: [Rate limits]
+ *     summary: Reset the counters of a client
+ *     security:
+ *       - ApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: client
+ *         required: true
+ *         description: Client as listed in the state, `key:<id>` or `ip:<address>`
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Number of counters reset
+ */
+router.get('/', rateLimitsController.getState);
+router.delete('/', [
+  query('client').matches(/^(key|ip):.+/).withMessage('Client must be key:<id> or ip:<address>'),
+  validate
+], rateLimitsController.resetClient);
+
+module.exports = router;
@@ -0,0 +1,321 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const subscriptionsController = require('../controllers/subscriptionsController');
+const validate = require('../middleware/validate');
+const { requireScope } = require('../middleware/auth');
+const httpCache = require('../middleware/httpCache');
+const { pageFilters } = require('../middleware/newsFilters');
+const { getSourceIds } = require('../utils/sources');
+const News = require('../models/news');
+const reviewService = require('../services/reviewService');
+
+const router = express.Router();
+
+router.use(requireScope('admin'), httpCache('private'));
+
+const isStringList = value => Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim());
+
+// `optional` makes every field optional, for PATCH
+const subscriptionFields = ({ optional = false } = {}) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('URL must be an http or https URL'),
+    body('description').optional().isString().isLength({ max: 200 }).withMessage('Description must be a string of at most 200 characters'),
+    body('secret').optional().isString().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+    body('filters').optional().isObject().withMessage('Filters must be an object'),
+    body('filters.categories').optional()
+      .custom(value => isStringList(value) && value.every(category => News.schema.path('category').enumValues.includes(category)))
+      .withMessage('Unknown category in filters.categories'),
+    body('filters.sources').optional()
+      .custom(value => isStringList(value) && value.every(id => getSourceIds().includes(id)))
+      .withMessage('Unknown source in filters.sources'),
+    body('filters.keywords').optional()
+      .custom(isStringList)
+      .withMessage('Keywords must be an array of non-empty strings'),
+    // Slugs and ids are replaced by the games' _id
+    body('filters.games').optional()
+      .custom(isStringList)
+      .withMessage('Games must be an array of game ids or slugs')
+      .bail()
+      .customSanitizer(async values => Promise.all(values.map(async value => (await reviewService.findGame(value))?.game._id ?? null)))
+      .custom(values => values.every(value => value !== null))
+      .withMessage('Unknown game in filters.games')
+  ];
+};
+
+const idParam = param('id').isMongoId().withMessage('Invalid subscription id');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SubscriptionInput:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: Public http(s) URL receiving POST requests
+ *         description:
+ *           type: string
+ *         secret:
+ *           type: string
+ *           description: Key of the HMAC-SHA256 payload signature (at least 16 characters); generated when omitted
+ *         filters:
+ *           type: object
+ *           description: Empty or missing lists match everything; every given list must match
+ *           properties:
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             sources:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             keywords:
+ *               type: array
+ *               description: Items whose title or description contains any of them match
+ *               items:
+ *                 type: string
+ *             games:
+ *               type: array
+ *               description: Game ids or slugs
+ *               items:
+ *                 type: string
+ *     Subscription:
+ *       allOf:
+ *         - $ref: '#/components/schemas/SubscriptionInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             active:
+ *               type: boolean
+ *             consecutiveFailures:
+ *               type: integer
+ *             disabledAt:
+ *               type: string
+ *               format: date-time
+ *               description: Set when repeated failed deliveries disabled the subscription
+ *             disabledReason:
+ *               type: string
+ *             lastDeliveryAt:
+ *               type: string
+ *               format: date-time
+ *             lastSuccessAt:
+ *               type: string
+ *               format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         event:
+ *           type: string
+ *           example: news.created
+ *         news:
+ *           type: array
+ *           description: Ids of the delivered news items
+ *           items:
+ *             type: string
+ *         success:
+ *           type: boolean
+ *         attempts:
+ *           type: integer
+ *         statusCode:
+ *           type: integer
+ *         error:
+ *           type: string
+ *         durationMs:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /subscriptions:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Subscribe a webhook to new news
+ *     description: New items matching the filters are POSTed to the URL after every fetch, signed with the secret
+ *     security:
+ *       - ApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubscriptionInput'
+ *     responses:
+ *       201:
+ *         description: The subscription, including its secret which is not shown again
+ *       400:
+ *         description: Invalid subscription
+ *       403:
+ *         description: The URL resolves to a private address
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: List webhook subscriptions
+ *     security:
+ *       - ApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Subscriptions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Subscription'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.post('/', [...subscriptionFields(), validate], subscriptionsController.createSubscription);
+router.get('/', [...pageFilters, validate], subscriptionsController.listSubscriptions);
+
+/**
+ * @swagger
+ * /subscriptions/{id}:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Get a webhook subscription
+ *     security:
+ *       - ApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Subscription'
+ *       404:
+ *         description: Subscription not found
+ *   patch:
+ *     tags: [Webhooks]
+ *     summary: Update a webhook subscription
+ *     description: Only the given fields change. Setting active to true re-enables a disabled subscription.
+ *     security:
+ *       - ApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SubscriptionInput'
+ *               - type: object
+ *                 properties:
+ *                   active:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated subscription
+ *       404:
+ *         description: Subscription not found
+ *   delete:
+ *     tags: [Webhooks]
+ *     summary: Delete a webhook subscription and its delivery log
+ *     security:
+ *       - ApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id', [idParam, validate], subscriptionsController.getSubscription);
+router.patch('/:id', [
+  idParam,
+  ...subscriptionFields({ optional: true }),
+  body('active').optional().isBoolean({ strict: true }).withMessage('Active must be a boolean'),
+  validate
+], subscriptionsController.updateSubscription);
+router.delete('/:id', [idParam, validate], subscriptionsController.deleteSubscription);
+
+/**
+ * @swagger
+ * /subscriptions/{id}/deliveries:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Delivery log of a webhook subscription
+ *     description: Every delivery of the last WEBHOOK_LOG_DAYS days (30 by default), newest first
+ *     security:
+ *       - ApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id/deliveries', [idParam, ...pageFilters, validate], subscriptionsController.getDeliveries);
+
+module.exports = router;
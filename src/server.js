@@ -2,7 +2,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
 const cron = require('node-cron');
 require('dotenv').config();
 
@@ -11,6 +10,7 @@ const routes = require('./routes');
 const logger = require('./utils/logger');
 const swaggerSetup = require('./utils/swagger');
 const newsController = require('./controllers/newsController');
+const retentionService = require('./services/retentionService');
 
 const app = express();
 
@@ -34,20 +34,14 @@ app.use(cors());
 app.use(express.json());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000,
-  limit: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 10000,
-  standardHeaders: 'draft-7',
-  legacyHeaders: false,
-  message: async (req) => {
-    logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
-    return { success: false, message: 'Too many requests' };
-  }
-});
-app.use(limiter);
-
 swaggerSetup(app);
-app.use('/api/news', routes); // Исправлен путь с /news на /api/news для соответствия Swagger
+app.use('/api/v1', routes);
+// Unversioned paths (/api/news, /api/games, /api/feeds) stay as deprecated aliases
+app.use('/api', (req, res, next) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', `</api/v1${req.url}>; rel="successor-version"`);
+  next();
+}, routes);
 app.use(errorHandler);
 
 const port = process.env.PORT || 9000;
@@ -55,8 +49,8 @@ app.listen(port, async () => {
   logger.info(`Server running on http://localhost:${port}`);
   try {
     logger.info('Fetching news on startup...');
-    const newsItems = await newsController.fetchNews();
-    logger.info(`Initial news fetch completed: ${newsItems.length} items`);
+    const summary = await newsController.fetchNews();
+    logger.info(`Initial news fetch completed: ${summary.fetched} items`, summary);
   } catch (error) {
     logger.error('Error fetching news on startup:', {
       message: error.message,
@@ -68,8 +62,8 @@ app.listen(port, async () => {
 cron.schedule('*/10 * * * *', async () => {
   try {
     logger.info('Running scheduled news fetch...');
-    const newsItems = await newsController.fetchNews();
-    logger.info(`Scheduled news fetch completed: ${newsItems.length} items`);
+    const summary = await newsController.fetchNews();
+    logger.info(`Scheduled news fetch completed: ${summary.fetched} items`, summary);
   } catch (error) {
     logger.error('Error during scheduled news fetch:', {
       message: error.message,
@@ -78,4 +72,17 @@ cron.schedule('*/10 * * * *', async () => {
   }
 });
 
+// Retention runs apart from ingestion so fetches never delete anything
+cron.schedule(process.env.RETENTION_CRON || '30 3 * * *', async () => {
+  try {
+    logger.info('Running scheduled retention...');
+    await retentionService.run();
+  } catch (error) {
+    logger.error('Error during scheduled retention:', {
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
 module.exports = app;
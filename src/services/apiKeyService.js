@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const ApiKey = require('../models/apiKey');
+
+const KEY_PREFIX = 'gn_';
+const PREFIX_LENGTH = 10;
+// lastUsedAt is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+// Constant-time comparison of secrets of any length
+const safeEqual = (a, b) => crypto.timingSafeEqual(Buffer.from(hashKey(a), 'hex'), Buffer.from(hashKey(b), 'hex'));
+
+const hasScope = (apiKey, scope) => apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+
+class ApiKeyService {
+  // Returns the stored key and the key itself, which cannot be recovered afterwards
+  async create({ name, scopes, tier, expiresAt }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = await ApiKey.create({ name, scopes, tier, expiresAt, hash: hashKey(key), prefix: key.slice(0, PREFIX_LENGTH) });
+    const { hash, ...stored } = apiKey.toObject();
+    return { key, apiKey: stored };
+  }
+
+  async list({ page, limit }) {
+    const [keys, total] = await Promise.all([
+      ApiKey.find().sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean().exec(),
+      ApiKey.countDocuments()
+    ]);
+    return { keys, total };
+  }
+
+  // Revoked keys are kept for the record and never authenticate again
+  async revoke(id) {
+    const revoked = await ApiKey.findOneAndUpdate({ _id: id, revokedAt: null }, { $set: { revokedAt: new Date() } }, { new: true, lean: true }).exec();
+    return revoked || ApiKey.findById(id).lean().exec();
+  }
+
+  // Resolves a presented key to { name, scopes } or null. Besides stored keys,
+  // ADMIN_API_KEY is an admin key (to create the first stored one) and
+  // CRON_SECRET, which Vercel Cron sends as a bearer token, may only ingest.
+  async authenticate(key) {
+    if (!key) return null;
+    if (process.env.CRON_SECRET && safeEqual(key, process.env.CRON_SECRET)) return { name: 'cron', scopes: ['ingest'], tier: 'internal' };
+    if (process.env.ADMIN_API_KEY && safeEqual(key, process.env.ADMIN_API_KEY)) return { name: 'ADMIN_API_KEY', scopes: ['admin'], tier: 'internal' };
+    if (!key.startsWith(KEY_PREFIX)) return null;
+    const apiKey = await ApiKey.findOne({ hash: hashKey(key), revokedAt: null }).lean().exec();
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) return null;
+    this.touch(apiKey._id);
+    return apiKey;
+  }
+
+  touch(id) {
+    const now = new Date();
+    ApiKey.updateOne(
+      { _id: id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now - TOUCH_INTERVAL_MS) } }] },
+      { $set: { lastUsedAt: now } }
+    ).exec().catch(error => logger.warn('API key usage could not be recorded:', { message: error.message }));
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.hasScope = hasScope;
+module.exports.hashKey = hashKey;
@@ -0,0 +1,112 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const sources = require('../utils/sources');
+const { ApiError } = require('../utils/errors');
+const { httpAgent, httpsAgent, parsePublicUrl, assertPublicHost, isPrivateAddressError } = require('../utils/network');
+const { USER_AGENT } = require('../utils/feedParser');
+const { getExtractor } = require('../extractors');
+const { toContentParts } = require('../extractors/ArticleExtractor');
+const Article = require('../models/article');
+const News = require('../models/news');
+
+const PREFETCH_LIMIT = parseInt(process.env.ARTICLE_PREFETCH_LIMIT) || 20;
+const MAX_BYTES = parseInt(process.env.ARTICLE_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const LINK = { name: 'Article link', defaultPort: true };
+
+class ArticleService {
+  // Returns the stored article body, scraping the origin only when missing or on refresh.
+  // Documents stored before content blocks existed are scraped again.
+  async getArticle(link, { refresh = false } = {}) {
+    if (!refresh) {
+      const stored = await Article.findOne({ link }).lean().exec();
+      if (stored?.blocks) return stored;
+    }
+    const { blocks, contentParts } = await this.scrape(link);
+    const fetchedAt = new Date();
+    if (!blocks.length) return { link, blocks, contentParts, fetchedAt };
+    const news = await News.findOne({ link }, { _id: 1 }).lean().exec();
+    return Article.findOneAndUpdate(
+      { link },
+      { $set: { blocks, contentParts, fetchedAt, news: news?._id } },
+      { upsert: true, new: true, lean: true }
+    ).exec();
+  }
+
+  // Warms storage for freshly ingested items, enabled with ARTICLE_PREFETCH=true
+  async prefetch(links) {
+    if (process.env.ARTICLE_PREFETCH !== 'true') return 0;
+    let fetched = 0;
+    for (const link of links.slice(0, PREFETCH_LIMIT)) {
+      try {
+        await this.getArticle(link);
+        fetched++;
+      } catch (error) {
+        logger.warn('Article prefetch failed:', { message: error.message, link });
+      }
+    }
+    return fetched;
+  }
+
+  // Only links of registered sources or already ingested items may be fetched,
+  // and only when every resolved address is public. `previous` is the URL of the
+  // redirecting page: hops may stay on its host even if it is not a source domain.
+  async assertFetchable(link, previous = null) {
+    const url = parsePublicUrl(link, LINK);
+    const allowed = sources.findSourceByUrl(url.href) ||
+      (previous && previous.hostname === url.hostname) ||
+      await News.exists({ link: { $in: [link, url.href] } });
+    if (!allowed) throw new ApiError('Article link is not from a known source', 403);
+    return assertPublicHost(url, LINK);
+  }
+
+  // Follows redirects by hand so that every hop is validated again
+  async fetchHtml(link) {
+    let url = await this.assertFetchable(link);
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      let response;
+      try {
+        response = await axios.get(url.href, {
+          headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.5',
+            'Accept-Encoding': 'gzip, deflate, br',
+            'Connection': 'keep-alive',
+            'Upgrade-Insecure-Requests': '1'
+          },
+          timeout: 30000,
+          maxRedirects: 0,
+          maxContentLength: MAX_BYTES,
+          responseType: 'text',
+          httpAgent,
+          httpsAgent,
+          validateStatus: status => status >= 200 && status < 400
+        });
+      } catch (error) {
+        if (isPrivateAddressError(error)) {
+          throw new ApiError('Article link resolves to a private address', 403);
+        }
+        if (/maxContentLength/.test(error.message)) throw new ApiError('Article page is too large', 502);
+        if (error.response) throw new ApiError(`Article source responded with ${error.response.status}`, 502);
+        throw error;
+      }
+      if (response.status < 300) {
+        const contentType = response.headers['content-type'] || '';
+        if (contentType && !/html|xml/i.test(contentType)) throw new ApiError('Article link is not an HTML page', 415);
+        return { html: response.data, url: url.href };
+      }
+      if (!response.headers.location) throw new ApiError('Article source sent a redirect without a location', 502);
+      url = await this.assertFetchable(new URL(response.headers.location, url).href, url);
+    }
+    throw new ApiError('Article source redirected too many times', 502);
+  }
+
+  async scrape(link) {
+    const { html, url } = await this.fetchHtml(link);
+    const blocks = getExtractor(url).extractBlocks(html, url);
+    return { blocks, contentParts: toContentParts(blocks) };
+  }
+}
+
+module.exports = new ArticleService();
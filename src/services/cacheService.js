@@ -0,0 +1,125 @@
+const logger = require('../utils/logger');
+const config = require('../config/cache');
+const { createStore } = require('../utils/cacheStore');
+
+const emptyStats = () => ({ hits: 0, stale: 0, misses: 0, errors: 0 });
+
+// Keys are `${area}:...`; the area (news, feed, games, feeds) picks the lifetimes
+const areaOf = key => key.split(':')[0];
+
+class CacheService {
+  constructor(store = createStore(config.backend, { maxEntries: config.maxEntries })) {
+    this.store = store;
+    // Loads in flight, so concurrent misses and refreshes of a key load once
+    this.pending = new Map();
+    // Bumped by invalidations: loads started before one must not store their value
+    this.generation = 0;
+    this.resetStats();
+  }
+
+  // Returns the cached value of `key`, or stores and returns `load()`.
+  // A stale entry is returned at once and reloaded in the background.
+  async wrap(key, load, { tags = [] } = {}) {
+    const area = areaOf(key);
+    let entry;
+    try {
+      entry = await this.store.get(key);
+    } catch (error) {
+      // An unavailable backend degrades to no caching
+      this.count(area, 'errors');
+      logger.warn('Cache read failed:', { key, message: error.message });
+    }
+    if (entry && entry.freshUntil > Date.now()) {
+      this.count(area, 'hits');
+      return entry.value;
+    }
+    if (entry) {
+      this.count(area, 'stale');
+      this.load(key, load, tags).catch(error => logger.warn('Cache refresh failed:', { key, message: error.message }));
+      return entry.value;
+    }
+    this.count(area, 'misses');
+    return this.load(key, load, tags);
+  }
+
+  load(key, load, tags) {
+    if (this.pending.has(key)) return this.pending.get(key);
+    const generation = this.generation;
+    const promise = (async () => {
+      const value = await load();
+      if (generation !== this.generation) return value;
+      const { ttl, staleTtl } = config.areas[areaOf(key)] || config.areas.news;
+      const now = Date.now();
+      try {
+        await this.store.set(key, { value, tags, freshUntil: now + ttl, expiresAt: now + ttl + staleTtl });
+      } catch (error) {
+        this.count(areaOf(key), 'errors');
+        logger.warn('Cache write failed:', { key, message: error.message });
+      }
+      return value;
+    })().finally(() => {
+      if (this.pending.get(key) === promise) this.pending.delete(key);
+    });
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  // Drops the entries carrying any of `tags` (`news:*` for every news:... tag);
+  // returns how many were dropped. Never throws: stale entries expire anyway.
+  async invalidate(tags) {
+    if (!tags.length) return 0;
+    this.generation++;
+    this.pending.clear();
+    try {
+      const count = await this.store.deleteByTags(tags);
+      this.stats.invalidated += count;
+      logger.info('Cache invalidated', { tags, count });
+      return count;
+    } catch (error) {
+      logger.warn('Cache invalidation failed:', { tags, message: error.message });
+      return 0;
+    }
+  }
+
+  async clear() {
+    this.generation++;
+    this.pending.clear();
+    await this.store.clear();
+  }
+
+  count(area, outcome) {
+    this.stats.areas[area] = this.stats.areas[area] || emptyStats();
+    this.stats.areas[area][outcome]++;
+  }
+
+  resetStats() {
+    this.stats = { since: new Date(), invalidated: 0, areas: {} };
+  }
+
+  // Counters since the process started (or the last reset), per area and in total
+  async getStats() {
+    const totals = Object.values(this.stats.areas).reduce((sum, area) => {
+      for (const [outcome, value] of Object.entries(area)) sum[outcome] += value;
+      return sum;
+    }, emptyStats());
+    const lookups = totals.hits + totals.stale + totals.misses;
+    let size = null;
+    try {
+      size = await this.store.size();
+    } catch (error) {
+      logger.warn('Cache size unavailable:', { message: error.message });
+    }
+    return {
+      backend: config.backend,
+      size,
+      maxEntries: config.backend === 'memory' ? config.maxEntries : null,
+      since: this.stats.since,
+      ...totals,
+      hitRate: lookups ? Math.round(((totals.hits + totals.stale) / lookups) * 1000) / 1000 : null,
+      invalidated: this.stats.invalidated,
+      areas: this.stats.areas
+    };
+  }
+}
+
+module.exports = new CacheService();
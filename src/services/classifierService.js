@@ -0,0 +1,62 @@
+const logger = require('../utils/logger');
+const rules = require('../config/classifier');
+const sources = require('../utils/sources');
+const { createClassifier } = require('../utils/classifier');
+const News = require('../models/news');
+
+const BATCH_SIZE = 500;
+
+class ClassifierService {
+  constructor() {
+    this.classifier = createClassifier(rules);
+  }
+
+  get version() {
+    return this.classifier.version;
+  }
+
+  get tags() {
+    return this.classifier.tags;
+  }
+
+  // Fields stored on a News item: category, tags, confidence and the rules version
+  classify(item, feed = {}) {
+    const { tags, category, confidence } = this.classifier.classify(item, {
+      presetTags: feed.tags || [],
+      fallback: feed.category || 'update'
+    });
+    return { category, tags, confidence, classifierVersion: this.version };
+  }
+
+  // Re-applies the current rules to stored news. Only documents classified by
+  // other rules versions are touched unless `all` is set.
+  async reclassify({ all = false } = {}) {
+    const filter = all ? {} : { classifierVersion: { $ne: this.version } };
+    const cursor = News.find(filter).select('title description source feed').lean().cursor();
+    let scanned = 0;
+    let changed = 0;
+    let operations = [];
+    const flush = async () => {
+      if (!operations.length) return;
+      const result = await News.bulkWrite(operations, { ordered: false });
+      changed += result.modifiedCount;
+      operations = [];
+    };
+    for (let item = await cursor.next(); item; item = await cursor.next()) {
+      scanned++;
+      operations.push({ updateOne: { filter: { _id: item._id }, update: { $set: this.classify(item, this.feedDefaults(item)) } } });
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+    logger.info('News reclassified', { version: this.version, scanned, changed });
+    return { version: this.version, scanned, changed };
+  }
+
+  // Preset tags and fallback category of the registry feed an item came from
+  feedDefaults(item) {
+    const source = sources.getSource(item.source);
+    return source?.feeds.find(feed => feed.kind === (item.feed || 'news')) || {};
+  }
+}
+
+module.exports = new ClassifierService();
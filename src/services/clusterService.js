@@ -0,0 +1,142 @@
+const { Types } = require('mongoose');
+const logger = require('../utils/logger');
+const { tokenize, extractEntities, compareTitles } = require('../utils/titleSimilarity');
+const News = require('../models/news');
+const Cluster = require('../models/cluster');
+
+const WINDOW_MS = (parseInt(process.env.CLUSTER_WINDOW_HOURS) || 48) * 60 * 60 * 1000;
+const MAX_CANDIDATES = 200;
+
+class ClusterService {
+  // Fields stored on every News item so candidates can be found by index
+  titleFeatures(title) {
+    return { titleTokens: tokenize(title), entities: extractEntities(title) };
+  }
+
+  // Attaches freshly ingested items to the story they duplicate, if any
+  async assign(items) {
+    let clustered = 0;
+    for (const item of items) {
+      try {
+        if (await this.assignOne(item)) clustered++;
+      } catch (error) {
+        logger.warn('Clustering failed:', { message: error.message, link: item.link });
+      }
+    }
+    return clustered;
+  }
+
+  async assignOne(item) {
+    if (!item.titleTokens?.length) return null;
+    const pubDate = new Date(item.pubDate).getTime();
+    const candidates = await News.find({
+      _id: { $ne: item._id },
+      source: { $ne: item.source },
+      pubDate: { $gte: new Date(pubDate - WINDOW_MS), $lte: new Date(pubDate + WINDOW_MS) },
+      titleTokens: { $in: item.titleTokens }
+    })
+      .select('+titleTokens +entities cluster pubDate')
+      .limit(MAX_CANDIDATES)
+      .lean()
+      .exec();
+    let best = null;
+    for (const candidate of candidates) {
+      const similarity = compareTitles(item, candidate);
+      if (similarity.match && (!best || similarity.score > best.score)) best = { ...similarity, candidate };
+    }
+    if (!best) return null;
+    let clusterId = best.candidate.cluster;
+    if (!clusterId) {
+      const cluster = await Cluster.create({ canonical: best.candidate._id });
+      clusterId = cluster._id;
+      await News.updateOne({ _id: best.candidate._id }, { $set: { cluster: clusterId } });
+    }
+    await News.updateOne({ _id: item._id }, { $set: { cluster: clusterId } });
+    await this.refresh(clusterId);
+    return clusterId;
+  }
+
+  // The earliest published member is the canonical item; empty clusters are dropped
+  async refresh(clusterId) {
+    const members = await News.find({ cluster: clusterId }).sort({ pubDate: 1, _id: 1 }).select('_id pubDate source').lean().exec();
+    if (members.length < 2) {
+      await Cluster.deleteOne({ _id: clusterId });
+      await News.updateMany({ cluster: clusterId }, { $unset: { cluster: 1 }, $set: { isCanonical: true } });
+      return;
+    }
+    const canonical = members[0];
+    await News.updateMany({ cluster: clusterId, _id: { $ne: canonical._id } }, { $set: { isCanonical: false } });
+    await News.updateOne({ _id: canonical._id }, { $set: { isCanonical: true } });
+    await Cluster.updateOne({ _id: clusterId }, {
+      $set: {
+        canonical: canonical._id,
+        size: members.length,
+        sources: [...new Set(members.map(member => member.source))],
+        firstPubDate: canonical.pubDate,
+        lastPubDate: members[members.length - 1].pubDate
+      }
+    });
+  }
+
+  // Call after deleting news items so their clusters get a new canonical item
+  async release(items) {
+    const clusterIds = [...new Set(items.filter(item => item.cluster).map(item => String(item.cluster)))];
+    for (const clusterId of clusterIds) await this.refresh(clusterId);
+  }
+
+  // One item per story among those matching `query`: the earliest published
+  // member that passes the filter, not the stored canonical item, which may come
+  // from a source the client cannot see or did not ask for
+  collapsed(query) {
+    return [
+      { $match: News.where().cast(News, { ...query }) },
+      { $sort: { pubDate: 1, _id: 1 } },
+      { $group: { _id: { $ifNull: ['$cluster', '$_id'] }, item: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$item' } }
+    ];
+  }
+
+  // A page of collapsed stories, newest first; `after` is a decoded cursor
+  async findCollapsed(query, { after = null, skip = 0, limit }) {
+    const pipeline = this.collapsed(query);
+    if (after) {
+      pipeline.push({ $match: { $or: [{ pubDate: { $lt: after.pubDate } }, { pubDate: after.pubDate, _id: { $lt: new Types.ObjectId(after.id) } }] } });
+    }
+    pipeline.push(
+      { $sort: { pubDate: -1, _id: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: { titleTokens: 0, entities: 0, classifierVersion: 0 } }
+    );
+    return News.aggregate(pipeline).exec();
+  }
+
+  async countCollapsed(query) {
+    const [result] = await News.aggregate([...this.collapsed(query), { $count: 'total' }]).exec();
+    return result ? result.total : 0;
+  }
+
+  // Other outlets' coverage of the stories the given items represent, keyed by cluster id
+  async findRelated(items, sourceFilter = null) {
+    const clusterIds = items.filter(item => item.cluster).map(item => item.cluster);
+    if (!clusterIds.length) return new Map();
+    const related = await News.find({
+      cluster: { $in: clusterIds },
+      _id: { $nin: items.map(item => item._id) },
+      ...(sourceFilter && { source: sourceFilter })
+    })
+      .sort({ pubDate: 1 })
+      .select('title link source pubDate cluster')
+      .lean()
+      .exec();
+    const byCluster = new Map();
+    for (const { cluster, ...entry } of related) {
+      const key = String(cluster);
+      if (!byCluster.has(key)) byCluster.set(key, []);
+      byCluster.get(key).push(entry);
+    }
+    return byCluster;
+  }
+}
+
+module.exports = new ClusterService();
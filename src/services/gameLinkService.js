@@ -0,0 +1,87 @@
+const logger = require('../utils/logger');
+const configuredGames = require('../config/games');
+const { gameKey } = require('../utils/reviews');
+const { visibleSourceFilter } = require('../utils/sources');
+const { createGameMatcher } = require('../utils/gameMatcher');
+const reviewService = require('./reviewService');
+const Game = require('../models/game');
+const News = require('../models/news');
+
+const BATCH_SIZE = 500;
+
+const sameIds = (a = [], b = []) => a.length === b.length && a.every((id, i) => String(id) === String(b[i]));
+
+class GameLinkService {
+  // Matcher over the review catalogue and src/config/games.js. Configured games
+  // missing from the catalogue are created first so they have an id to link.
+  async getMatcher() {
+    await this.ensureConfiguredGames();
+    const games = await Game.find().select('title key').lean().exec();
+    const configured = new Map(configuredGames.map(entry => [gameKey(entry.title), entry]));
+    return createGameMatcher(games.map(game => {
+      const entry = configured.get(game.key);
+      return { id: game._id, names: [game.title, ...(entry ? [entry.title, ...entry.names] : [])], listed: Boolean(entry) };
+    }));
+  }
+
+  // Runs once per process: the config only changes with a deploy
+  async ensureConfiguredGames() {
+    if (this.configured) return;
+    const keys = configuredGames.map(entry => gameKey(entry.title));
+    for (const [i, { title }] of configuredGames.entries()) {
+      const game = await Game.findOneAndUpdate(
+        { key: keys[i] },
+        { $setOnInsert: { title }, $set: { curated: true } },
+        { upsert: true, new: true, lean: true }
+      ).exec();
+      // Games without reviews get their slug here instead of after a review
+      if (!game.slug) await reviewService.refresh(game._id);
+    }
+    await Game.updateMany({ curated: true, key: { $nin: keys } }, { $unset: { curated: 1 } }).exec();
+    this.configured = true;
+  }
+
+  // Adds the ids of the games each headline mentions as `games`
+  link(items, matcher) {
+    return items.map(item => ({ ...item, games: matcher.match(item.title) }));
+  }
+
+  // Links stored news again, after the catalogue gained games or the
+  // configured names changed. Only documents whose links change are written.
+  async relink() {
+    const matcher = await this.getMatcher();
+    const cursor = News.find().select('title games').lean().cursor();
+    let scanned = 0;
+    let changed = 0;
+    let operations = [];
+    const flush = async () => {
+      if (!operations.length) return;
+      const result = await News.bulkWrite(operations, { ordered: false });
+      changed += result.modifiedCount;
+      operations = [];
+    };
+    for (let item = await cursor.next(); item; item = await cursor.next()) {
+      scanned++;
+      const games = matcher.match(item.title);
+      if (sameIds(games, item.games)) continue;
+      operations.push({ updateOne: { filter: { _id: item._id }, update: { $set: { games } } } });
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+    logger.info('News linked to games', { scanned, changed });
+    return { scanned, changed };
+  }
+
+  // News linked to a game from the sources available in `region`, newest first
+  async getNews(gameId, { page, limit, region }) {
+    const source = visibleSourceFilter(region);
+    const query = { games: gameId, ...(source && { source }) };
+    const [news, total] = await Promise.all([
+      News.find(query).sort({ pubDate: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean().exec(),
+      News.countDocuments(query)
+    ]);
+    return { news, total };
+  }
+}
+
+module.exports = new GameLinkService();
@@ -0,0 +1,165 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const sources = require('../utils/sources');
+const { parser, USER_AGENT, FEED_TIMEOUT_MS } = require('../utils/feedParser');
+const { mapWithConcurrency, withTimeout, retry, isRetryable } = require('../utils/async');
+const { getFreshnessMs } = require('../utils/httpCache');
+const FeedStatus = require('../models/feedStatus');
+
+const CONCURRENCY = parseInt(process.env.FEED_CONCURRENCY) || 4;
+const RETRIES = parseInt(process.env.FEED_RETRIES) >= 0 ? parseInt(process.env.FEED_RETRIES) : 2;
+const RETRY_DELAY_MS = parseInt(process.env.FEED_RETRY_DELAY_MS) || 1000;
+// Upper bound for ttl/Cache-Control hints, so a feed announcing a one-day ttl is still polled
+const MAX_FRESHNESS_MS = (parseInt(process.env.FEED_MAX_TTL_MINUTES) || 60) * 60 * 1000;
+
+const statusKey = feed => `${feed.source}/${feed.kind}`;
+
+class IngestionService {
+  // Fetches every configured feed, a few at a time. Failing feeds are logged and
+  // recorded in their status, never thrown: one dead feed must not stop the run.
+  // Each result has an `outcome`: fetched, not-modified, deferred or failed.
+  // Fetched results carry `validators`; pass the results to saveValidators once
+  // their items are stored.
+  async fetchFeeds(feeds = sources.getFeeds()) {
+    const statuses = await this.loadStatuses();
+    return mapWithConcurrency(feeds, CONCURRENCY, feed => this.fetchFeed(feed, statuses.get(statusKey(feed))));
+  }
+
+  async loadStatuses() {
+    try {
+      const records = await FeedStatus.find().lean().exec();
+      return new Map(records.map(record => [statusKey(record), record]));
+    } catch (error) {
+      logger.warn('Feed status lookup failed, fetching unconditionally:', { message: error.message });
+      return new Map();
+    }
+  }
+
+  async fetchFeed(feed, status = null) {
+    // Validators and hints belong to a URL; a changed feed URL starts over
+    const previous = status?.url === feed.url ? status : null;
+    if (previous?.nextFetchAt && previous.nextFetchAt > new Date()) {
+      await this.saveStatus(feed, { $inc: { 'metrics.deferred': 1 } });
+      return { feed, items: [], outcome: 'deferred' };
+    }
+    const startedAt = new Date();
+    let attempts = 0;
+    let latencyMs = 0;
+    try {
+      const response = await retry(async attempt => {
+        attempts = attempt + 1;
+        const attemptStart = Date.now();
+        try {
+          // axios' timeout only covers waiting for the response, this bounds the whole download
+          return await withTimeout(this.request(feed.url, previous), FEED_TIMEOUT_MS, `Feed timed out after ${FEED_TIMEOUT_MS} ms`);
+        } finally {
+          latencyMs = Date.now() - attemptStart;
+        }
+      }, { retries: RETRIES, baseDelay: RETRY_DELAY_MS, shouldRetry: isRetryable });
+      if (response.status === 304) {
+        await this.recordSuccess(feed, { startedAt, latencyMs, attempts, response, notModified: true });
+        return { feed, items: [], outcome: 'not-modified' };
+      }
+      const parsed = await parser.parseString(response.data);
+      const items = parsed.items || [];
+      await this.recordSuccess(feed, { startedAt, latencyMs, attempts, response, itemCount: items.length });
+      return { feed, items, outcome: 'fetched', validators: this.validators(response, parsed.ttl) };
+    } catch (error) {
+      logger.warn('Feed fetch failed:', { source: feed.source, kind: feed.kind, url: feed.url, attempts, message: error.message });
+      await this.recordFailure(feed, { startedAt, latencyMs, attempts, error });
+      return { feed, items: [], outcome: 'failed', error };
+    }
+  }
+
+  // Conditional GET: a 304 means the stored validators still match
+  request(url, previous) {
+    const headers = { 'User-Agent': USER_AGENT, Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' };
+    if (previous?.etag) headers['If-None-Match'] = previous.etag;
+    if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+    return axios.get(url, {
+      headers,
+      timeout: FEED_TIMEOUT_MS,
+      responseType: 'text',
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+  }
+
+  // The ETag, Last-Modified and next fetch time a response allows
+  validators(response, ttl = null) {
+    const freshnessMs = Math.min(getFreshnessMs(response.headers, ttl), MAX_FRESHNESS_MS);
+    const validators = { nextFetchAt: freshnessMs > 0 ? new Date(Date.now() + freshnessMs) : null };
+    // A 304 may omit the validators; the stored ones stay valid then
+    if (response.headers.etag) validators.etag = response.headers.etag;
+    if (response.headers['last-modified']) validators.lastModified = response.headers['last-modified'];
+    return validators;
+  }
+
+  // Saved only after the items of a run are stored: until then the next run must
+  // download fetched feeds again instead of getting a 304 or being deferred
+  async saveValidators(results) {
+    await Promise.all(results
+      .filter(result => result.validators)
+      .map(({ feed, validators }) => this.saveStatus(feed, { $set: validators })));
+  }
+
+  // A 304 carries no items, so its validators are saved at once
+  async recordSuccess(feed, { startedAt, latencyMs, attempts, response, itemCount = null, notModified = false }) {
+    const $set = {
+      url: feed.url,
+      lastAttemptAt: startedAt,
+      lastSuccessAt: new Date(),
+      latencyMs,
+      attempts,
+      consecutiveFailures: 0,
+      ...(notModified && this.validators(response))
+    };
+    if (!notModified) $set.itemCount = itemCount;
+    const $inc = notModified
+      ? { 'metrics.requests': 1, 'metrics.notModified': 1 }
+      : { 'metrics.requests': 1, 'metrics.fetched': 1, 'metrics.bytes': Buffer.byteLength(response.data || '') };
+    await this.saveStatus(feed, { $set, $inc });
+  }
+
+  async recordFailure(feed, { startedAt, latencyMs, attempts, error }) {
+    await this.saveStatus(feed, {
+      $set: { url: feed.url, lastAttemptAt: startedAt, latencyMs, attempts, lastError: { message: error.message, at: new Date() } },
+      $inc: { consecutiveFailures: 1, 'metrics.requests': 1, 'metrics.failed': 1 }
+    });
+  }
+
+  // Status bookkeeping must not fail the ingestion run
+  async saveStatus(feed, update) {
+    try {
+      await FeedStatus.updateOne({ source: feed.source, kind: feed.kind }, update, { upsert: true }).exec();
+    } catch (error) {
+      logger.warn('Feed status update failed:', { source: feed.source, kind: feed.kind, message: error.message });
+    }
+  }
+
+  // Status of every configured feed; feeds never attempted have empty records
+  async getStatus() {
+    const records = await FeedStatus.find().lean().exec();
+    const byFeed = new Map(records.map(record => [statusKey(record), record]));
+    return sources.getFeeds().map(feed => {
+      const record = byFeed.get(statusKey(feed)) || {};
+      const consecutiveFailures = record.consecutiveFailures || 0;
+      const { requests = 0, fetched = 0, notModified = 0, deferred = 0, failed = 0, bytes = 0 } = record.metrics || {};
+      return {
+        source: feed.source,
+        kind: feed.kind,
+        healthy: Boolean(record.lastSuccessAt) && consecutiveFailures === 0,
+        lastAttemptAt: record.lastAttemptAt || null,
+        lastSuccessAt: record.lastSuccessAt || null,
+        lastError: record.lastError?.message ? record.lastError : null,
+        itemCount: record.itemCount || 0,
+        latencyMs: record.latencyMs ?? null,
+        attempts: record.attempts ?? null,
+        consecutiveFailures,
+        nextFetchAt: record.nextFetchAt || null,
+        metrics: { requests, fetched, notModified, deferred, failed, bytes, saved: notModified + deferred }
+      };
+    });
+  }
+}
+
+module.exports = new IngestionService();
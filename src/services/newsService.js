@@ -0,0 +1,69 @@
+const News = require('../models/news');
+
+const BATCH_SIZE = 500;
+// Fields compared against the stored document to tell updated from unchanged items
+const COMPARED_FIELDS = '+titleTokens +entities +classifierVersion';
+// Ingestion-only fields that are not part of the public item
+const INTERNAL_FIELDS = ['titleTokens', 'entities', 'classifierVersion'];
+
+const normalizeValue = value => (value instanceof Date ? value.toISOString() : value ?? null);
+const sameValue = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+class NewsService {
+  // Stores one ingestion run with a single bulk write per batch. Items are
+  // matched by link; unchanged items are not written at all so their
+  // `updatedAt` keeps meaning "last changed".
+  // Returns the counts and the inserted items (with _id) for post-processing.
+  async upsertMany(items) {
+    // A link listed by several feeds is stored once, the last occurrence wins
+    const unique = [...new Map(items.map(item => [item.link, item])).values()];
+    const result = { inserted: 0, updated: 0, unchanged: 0, created: [] };
+    for (let i = 0; i < unique.length; i += BATCH_SIZE) {
+      await this.upsertBatch(unique.slice(i, i + BATCH_SIZE), result);
+    }
+    return result;
+  }
+
+  // An item as returned by upsertMany without its ingestion-only fields,
+  // for pushing to streams and webhooks
+  toPublic(item) {
+    return Object.fromEntries(Object.entries(item).filter(([key]) => !INTERNAL_FIELDS.includes(key)));
+  }
+
+  async upsertBatch(items, result) {
+    const stored = await News.find({ link: { $in: items.map(item => item.link) } })
+      .select(COMPARED_FIELDS)
+      .lean()
+      .exec();
+    const storedByLink = new Map(stored.map(doc => [doc.link, doc]));
+    const operations = [];
+    const inserts = [];
+    for (const item of items) {
+      const existing = storedByLink.get(item.link);
+      if (!existing) {
+        inserts.push(operations.length);
+        operations.push({ updateOne: { filter: { link: item.link }, update: { $setOnInsert: item }, upsert: true } });
+        continue;
+      }
+      const changes = Object.fromEntries(Object.entries(item).filter(([key, value]) => !sameValue(existing[key], value)));
+      if (!Object.keys(changes).length) {
+        result.unchanged++;
+        continue;
+      }
+      operations.push({ updateOne: { filter: { _id: existing._id }, update: { $set: changes } } });
+    }
+    if (!operations.length) return;
+    const write = await News.bulkWrite(operations, { ordered: false });
+    const upsertedIds = write.upsertedIds || {};
+    for (const index of inserts) {
+      const id = upsertedIds[index];
+      // No id: another run inserted the link between our read and write
+      if (id) result.created.push({ ...operations[index].updateOne.update.$setOnInsert, _id: id });
+    }
+    result.inserted += write.upsertedCount;
+    result.updated += write.modifiedCount;
+    result.unchanged += write.matchedCount - write.modifiedCount;
+  }
+}
+
+module.exports = new NewsService();
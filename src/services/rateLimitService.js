@@ -0,0 +1,65 @@
+const config = require('../config/rateLimits');
+const { createStore } = require('../utils/rateLimitStore');
+
+// Store keys are `${group}|${tier}|${client}`; clients are `key:<id>` or `ip:<address>`
+const storeKey = (group, tier, client) => `${group}|${tier}|${client}`;
+
+const parseKey = key => {
+  const [group, tier, ...client] = key.split('|');
+  return { group, tier, client: client.join('|') };
+};
+
+class RateLimitService {
+  constructor(store = createStore(config.store)) {
+    this.store = store;
+  }
+
+  groupFor(path) {
+    return config.groups.find(group => group.paths.some(prefix => path === prefix || path.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`)));
+  }
+
+  tierOf(apiKey) {
+    return apiKey ? apiKey.tier || 'standard' : 'anonymous';
+  }
+
+  clientOf(req, apiKey) {
+    return apiKey ? `key:${apiKey._id || apiKey.name}` : `ip:${req.ip}`;
+  }
+
+  // Counts one request; null when the client's tier is unlimited for the route group
+  async consume({ path, client, tier }) {
+    const group = this.groupFor(path);
+    const limit = group?.limits[tier];
+    if (limit === null || limit === undefined) return null;
+    const { count, resetAt } = await this.store.increment(storeKey(group.name, tier, client), config.windowMs);
+    return { group: group.name, limit, count, remaining: Math.max(0, limit - count), resetAt, limited: count > limit };
+  }
+
+  // The configured limits and every client with requests in the current window, busiest first
+  async getState() {
+    const entries = await this.store.entries();
+    const clients = entries
+      .map(({ key, count, resetAt }) => {
+        const { group, tier, client } = parseKey(key);
+        const limit = config.groups.find(entry => entry.name === group)?.limits[tier] ?? null;
+        return { client, group, tier, count, limit, remaining: limit === null ? null : Math.max(0, limit - count), limited: limit !== null && count > limit, resetAt };
+      })
+      .sort((a, b) => b.count - a.count);
+    return {
+      windowMs: config.windowMs,
+      store: config.store,
+      tiers: config.TIERS,
+      groups: config.groups,
+      clients
+    };
+  }
+
+  // Clears every counter of a client; returns how many were cleared
+  async reset(client) {
+    const keys = (await this.store.entries()).map(entry => entry.key).filter(key => parseKey(key).client === client);
+    await Promise.all(keys.map(key => this.store.reset(key)));
+    return keys.length;
+  }
+}
+
+module.exports = new RateLimitService();
@@ -0,0 +1,69 @@
+const logger = require('../utils/logger');
+const policies = require('../config/retention');
+const clusterService = require('./clusterService');
+const cacheService = require('./cacheService');
+const News = require('../models/news');
+const Article = require('../models/article');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+const describePolicy = ({ source, category, maxAgeDays, maxItems }) =>
+  [source && `source=${source}`, category && `category=${category}`, maxAgeDays && `maxAgeDays=${maxAgeDays}`, maxItems && `maxItems=${maxItems}`]
+    .filter(Boolean)
+    .join(' ');
+
+class RetentionService {
+  constructor() {
+    this.policies = policies;
+  }
+
+  // Applies every policy and reports how many items each one removed
+  async run() {
+    const report = [];
+    for (const policy of this.policies) {
+      const removed = await this.apply(policy);
+      report.push({ policy: describePolicy(policy) || 'all', removed });
+    }
+    const removed = report.reduce((total, entry) => total + entry.removed, 0);
+    // Cached listings must not keep serving deleted items, whichever job ran this
+    if (removed) await cacheService.invalidate(['news:*']);
+    logger.info('Retention run completed', { removed, report });
+    return { removed, policies: report };
+  }
+
+  async apply({ source, category, maxAgeDays, maxItems }) {
+    const scope = {};
+    if (source) scope.source = source;
+    if (category) scope.category = category;
+    let removed = 0;
+    if (maxAgeDays) {
+      const cutoff = new Date(Date.now() - maxAgeDays * DAY_MS);
+      const expired = await News.find({ ...scope, pubDate: { $lt: cutoff } }).select('_id cluster').lean().exec();
+      removed += await this.remove(expired);
+    }
+    if (maxItems) {
+      // Everything after the newest maxItems in scope; same order as /latest
+      const overflow = await News.find(scope).sort({ pubDate: -1, _id: -1 }).skip(maxItems).select('_id cluster').lean().exec();
+      removed += await this.remove(overflow);
+    }
+    return removed;
+  }
+
+  // Deletes news with their stored article bodies and re-elects canonical
+  // items of the clusters they belonged to
+  async remove(docs) {
+    let removed = 0;
+    for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+      const batch = docs.slice(i, i + BATCH_SIZE);
+      const ids = batch.map(doc => doc._id);
+      const { deletedCount } = await News.deleteMany({ _id: { $in: ids } });
+      await Article.deleteMany({ news: { $in: ids } });
+      await clusterService.release(batch);
+      removed += deletedCount;
+    }
+    return removed;
+  }
+}
+
+module.exports = new RetentionService();
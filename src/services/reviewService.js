@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { PLACEHOLDER_IMAGE } = require('../utils/feedParser');
+const { escapeRegex } = require('../utils/query');
+const { visibleSourceFilter } = require('../utils/sources');
+const { extractScore, normalizeScore, gameTitle, slugify, gameKey } = require('../utils/reviews');
+const articleService = require('./articleService');
+const Game = require('../models/game');
+const Review = require('../models/review');
+const News = require('../models/news');
+
+// Reviews without a score in their snippet whose article is scraped per run (0 disables)
+const SCRAPE_LIMIT = parseInt(process.env.REVIEW_SCRAPE_LIMIT) >= 0 ? parseInt(process.env.REVIEW_SCRAPE_LIMIT) : 10;
+const RELATED_NEWS_LIMIT = 20;
+
+const scoreFields = (found, origin) => ({
+  score: found.score,
+  scale: found.scale,
+  normalizedScore: normalizeScore(found.score, found.scale),
+  scoreOrigin: origin
+});
+
+class ReviewService {
+  // Adds the items of review feeds to the catalogue: every item becomes a Review
+  // of the Game named in its headline, missing scores are looked up in the
+  // article's score box and the aggregate of every touched game is recomputed.
+  // `items` are normalized feed items carrying their `source`.
+  async ingest(items) {
+    const touched = new Set();
+    const created = new Set();
+    let stored = 0;
+    for (const item of items) {
+      try {
+        const games = await this.store(item, created);
+        games.forEach(id => touched.add(String(id)));
+        if (games.length) stored++;
+      } catch (error) {
+        logger.warn('Review storage failed:', { message: error.message, link: item.link });
+      }
+    }
+    const scraped = await this.scrapeScores(touched);
+    for (const id of touched) {
+      try {
+        await this.refresh(id);
+      } catch (error) {
+        logger.warn('Game score refresh failed:', { message: error.message, game: id });
+      }
+    }
+    return { reviews: stored, games: touched.size, created: created.size, scraped };
+  }
+
+  // Upserts one review; returns the ids of the games whose aggregate changed.
+  // Games created for it are added to `created`.
+  async store(item, created = new Set()) {
+    const title = gameTitle(item.title);
+    const key = gameKey(title);
+    if (!key) return [];
+    const { value: game, lastErrorObject } = await Game.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { key, title } },
+      { upsert: true, new: true, lean: true, includeResultMetadata: true }
+    ).exec();
+    if (!lastErrorObject?.updatedExisting) created.add(String(game._id));
+    const found = extractScore(item.description);
+    const $set = {
+      game: game._id,
+      source: item.source,
+      title: item.title,
+      description: item.description,
+      author: item.author,
+      image: item.image,
+      pubDate: item.pubDate,
+      platforms: item.platforms || [],
+      // A score read from the article is kept when the snippet has none
+      ...(found && scoreFields(found, 'feed'))
+    };
+    const previous = await Review.findOneAndUpdate({ link: item.link }, { $set }, { upsert: true, lean: true }).exec();
+    // An edited headline may move the review to another game
+    return previous && String(previous.game) !== String(game._id) ? [game._id, previous.game] : [game._id];
+  }
+
+  // Reads the score box of review articles whose snippet had no score.
+  // Every article is checked once; unreachable pages are not retried.
+  async scrapeScores(gameIds) {
+    if (!SCRAPE_LIMIT) return 0;
+    const pending = await Review.find({ normalizedScore: null, scrapedAt: null })
+      .sort({ pubDate: -1 })
+      .limit(SCRAPE_LIMIT)
+      .lean()
+      .exec();
+    let scraped = 0;
+    for (const review of pending) {
+      const $set = { scrapedAt: new Date() };
+      try {
+        const article = await articleService.getArticle(review.link);
+        const box = (article.blocks || []).find(block => block.type === 'review' && block.score !== null);
+        if (box) {
+          Object.assign($set, scoreFields(box, 'article'), box.verdict && { verdict: box.verdict });
+          gameIds.add(String(review.game));
+          scraped++;
+        }
+      } catch (error) {
+        logger.warn('Review score lookup failed:', { message: error.message, link: review.link });
+      }
+      await Review.updateOne({ _id: review._id }, { $set }).exec();
+    }
+    return scraped;
+  }
+
+  // Recomputes a game's aggregate: the mean of each outlet's latest scored review,
+  // so a "review in progress" followed by the final review counts once.
+  // The title (and with it the slug) follows the headline most reviews use.
+  async refresh(gameId) {
+    const game = await Game.findById(gameId).lean().exec();
+    if (!game) return null;
+    const reviews = await Review.find({ game: gameId }).sort({ pubDate: -1 }).lean().exec();
+    if (!reviews.length && !game.curated) {
+      await Game.deleteOne({ _id: gameId });
+      return null;
+    }
+    const latestScored = new Map();
+    for (const review of reviews) {
+      if (review.normalizedScore !== null && !latestScored.has(review.source)) latestScored.set(review.source, review.normalizedScore);
+    }
+    const scores = [...latestScored.values()];
+    const score = scores.length ? Math.round((scores.reduce((total, value) => total + value, 0) / scores.length) * 10) / 10 : null;
+    const image = reviews.find(review => review.image && review.image !== PLACEHOLDER_IMAGE)?.image;
+    const title = this.preferredTitle(reviews) || game.title;
+    return Game.findByIdAndUpdate(gameId, {
+      $set: {
+        title,
+        ...await this.slugFields(game, title),
+        score,
+        reviewCount: reviews.length,
+        scoredReviewCount: scores.length,
+        sources: [...new Set(reviews.map(review => review.source))],
+        platforms: [...new Set(reviews.flatMap(review => review.platforms || []))],
+        firstReviewedAt: reviews[reviews.length - 1]?.pubDate || null,
+        lastReviewedAt: reviews[0]?.pubDate || null,
+        ...(image && { image })
+      }
+    }, { new: true, lean: true }).exec();
+  }
+
+  // Most used spelling of the game in the review headlines, the earliest on ties
+  preferredTitle(reviews) {
+    const counts = new Map();
+    for (const review of [...reviews].reverse()) {
+      const title = gameTitle(review.title);
+      if (title) counts.set(title, (counts.get(title) || 0) + 1);
+    }
+    let best = null;
+    for (const [title, count] of counts) if (!best || count > counts.get(best)) best = title;
+    return best;
+  }
+
+  // A new slug keeps the previous one as an alias so old URLs still resolve
+  async slugFields(game, title) {
+    let slug = slugify(title) || String(game._id);
+    if (slug === game.slug) return {};
+    // Distinct keys can still spell the same slug ("Doom" 1993 vs "DOOM")
+    if (await Game.exists({ slug, _id: { $ne: game._id } })) slug = `${slug}-${String(game._id).slice(-6)}`;
+    if (slug === game.slug) return {};
+    const aliases = (game.aliases || []).filter(alias => alias !== slug);
+    if (game.slug) aliases.push(game.slug);
+    return { slug, aliases };
+  }
+  // Highest rated games first; `q` matches the title, `platforms` any of the game's platforms
+  async getTopGames({ page, limit, q, platforms = [] }) {
+    const query = { score: { $ne: null } };
+    if (q) query.title = { $regex: escapeRegex(q), $options: 'i' };
+    if (platforms.length) query.platforms = { $in: platforms };
+    const [games, total] = await Promise.all([
+      Game.find(query)
+        .sort({ score: -1, scoredReviewCount: -1, lastReviewedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+        .exec(),
+      Game.countDocuments(query)
+    ]);
+    return { games, total };
+  }
+
+  // Game by _id or slug; former slugs resolve too and are flagged as `renamed`
+  async findGame(id) {
+    let game = mongoose.isValidObjectId(id) ? await Game.findById(id).lean().exec() : null;
+    if (!game) game = await Game.findOne({ slug: id }).lean().exec();
+    if (game) return { game, renamed: false };
+    game = await Game.findOne({ aliases: id }).lean().exec();
+    return game ? { game, renamed: true } : null;
+  }
+
+  // A game with every stored review and the latest news linked to it from the
+  // sources available in `region`.
+  // `redirect` is set instead when `id` is a former slug of the game.
+  async getGame(id, { region } = {}) {
+    const found = await this.findGame(id);
+    if (!found) return null;
+    const { game, renamed } = found;
+    if (renamed) return { redirect: game.slug };
+    const source = visibleSourceFilter(region);
+    const [reviews, news] = await Promise.all([
+      Review.find({ game: game._id })
+        .sort({ pubDate: -1 })
+        .select('source title link author pubDate score scale normalizedScore verdict scoreOrigin')
+        .lean()
+        .exec(),
+      News.find({ games: game._id, ...(source && { source }) })
+        .sort({ pubDate: -1, _id: -1 })
+        .limit(RELATED_NEWS_LIMIT)
+        .lean()
+        .exec()
+    ]);
+    return { game: { ...game, reviews, news } };
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,55 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const newsService = require('./newsService');
+const News = require('../models/news');
+
+// Events missed while disconnected that are replayed on resume
+const RESUME_LIMIT = 100;
+
+// Subscriber filters are { category, source, platforms } where `source` is
+// the { $in } / { $nin } filter the news controller builds for the region
+const matches = (item, { category, source, platforms = [] }) =>
+  (!category || item.category === category) &&
+  (!source || (source.$in ? source.$in.includes(item.source) : !source.$nin.includes(item.source))) &&
+  (!platforms.length || (item.platforms || []).some(platform => platforms.includes(platform)));
+
+const toQuery = ({ category, source, platforms = [] }) => ({
+  ...(category && { category }),
+  ...(source && { source }),
+  ...(platforms.length && { platforms: { $in: platforms } })
+});
+
+class StreamService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // Every open stream is a listener
+    this.emitter.setMaxListeners(0);
+  }
+
+  // Announces newly inserted news items (with their _id) to open streams
+  publish(items) {
+    for (const item of items) this.emitter.emit('news', newsService.toPublic(item));
+  }
+
+  // Calls `listener` with every published item matching `filter`; returns the unsubscribe function
+  subscribe(filter, listener) {
+    const handler = item => {
+      if (matches(item, filter)) listener(item);
+    };
+    this.emitter.on('news', handler);
+    return () => this.emitter.off('news', handler);
+  }
+
+  // Stored items published after `lastEventId` (an item _id), oldest first
+  async missed(lastEventId, filter) {
+    if (!mongoose.isValidObjectId(lastEventId)) return [];
+    return News.find({ ...toQuery(filter), _id: { $gt: lastEventId } })
+      .sort({ _id: 1 })
+      .limit(RESUME_LIMIT)
+      .lean()
+      .exec();
+  }
+}
+
+module.exports = new StreamService();
+module.exports.matches = matches;
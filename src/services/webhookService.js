@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+const { matchesKeyword, USER_AGENT } = require('../utils/feedParser');
+const { httpAgent, httpsAgent, parsePublicUrl, assertPublicHost } = require('../utils/network');
+const { mapWithConcurrency, withTimeout, retry, isRetryable } = require('../utils/async');
+const newsService = require('./newsService');
+const Subscription = require('../models/subscription');
+const WebhookDelivery = require('../models/webhookDelivery');
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const RETRIES = parseInt(process.env.WEBHOOK_RETRIES) >= 0 ? parseInt(process.env.WEBHOOK_RETRIES) : 3;
+const RETRY_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 2000;
+const CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY) || 4;
+// Consecutive failed deliveries after which a subscription is disabled
+const MAX_FAILURES = parseInt(process.env.WEBHOOK_MAX_FAILURES) || 5;
+const TARGET = { name: 'Webhook URL' };
+
+// Hex HMAC-SHA256 of `${timestamp}.${body}`; binding the timestamp lets receivers reject replays
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Empty filter lists match everything; every non-empty list must match
+const matches = (item, { categories = [], sources = [], keywords = [], games = [] } = {}) =>
+  (!categories.length || categories.includes(item.category)) &&
+  (!sources.length || sources.includes(item.source)) &&
+  (!keywords.length || keywords.some(keyword => matchesKeyword(item, keyword))) &&
+  (!games.length || (item.games || []).some(game => games.some(id => String(id) === String(game))));
+
+class WebhookService {
+  // Subscription targets must be public http(s) URLs, like article links
+  async assertTarget(target) {
+    return assertPublicHost(parsePublicUrl(target, TARGET), TARGET);
+  }
+
+  // Returns the stored subscription with its secret, which is never readable afterwards.
+  // A secret is generated when none is given.
+  async createSubscription({ url, description, filters, secret }) {
+    await this.assertTarget(url);
+    const subscription = await Subscription.create({
+      url,
+      description,
+      filters,
+      secret: secret || crypto.randomBytes(32).toString('hex')
+    });
+    return subscription.toObject();
+  }
+
+  async listSubscriptions({ page, limit }) {
+    const [subscriptions, total] = await Promise.all([
+      Subscription.find().sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean().exec(),
+      Subscription.countDocuments()
+    ]);
+    return { subscriptions, total };
+  }
+
+  async getSubscription(id) {
+    return Subscription.findById(id).lean().exec();
+  }
+
+  // Re-enabling a subscription gives it a fresh failure budget
+  async updateSubscription(id, { url, description, filters, secret, active }) {
+    if (url !== undefined) await this.assertTarget(url);
+    const $set = Object.fromEntries(Object.entries({ url, description, secret, active })
+      .filter(([, value]) => value !== undefined));
+    for (const [key, value] of Object.entries(filters || {})) $set[`filters.${key}`] = value;
+    const update = { $set };
+    if (active === true) {
+      $set.consecutiveFailures = 0;
+      update.$unset = { disabledAt: 1, disabledReason: 1 };
+    }
+    return Subscription.findByIdAndUpdate(id, update, { new: true, lean: true }).exec();
+  }
+
+  async deleteSubscription(id) {
+    const deleted = await Subscription.findByIdAndDelete(id).lean().exec();
+    if (deleted) await WebhookDelivery.deleteMany({ subscription: id }).exec();
+    return deleted;
+  }
+
+  // Delivery log of a subscription, newest first
+  async getDeliveries(id, { page, limit }) {
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find({ subscription: id }).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean().exec(),
+      WebhookDelivery.countDocuments({ subscription: id })
+    ]);
+    return { deliveries, total };
+  }
+
+  // Sends newly inserted news to every active subscription matching some of
+  // them, one batched request per subscription. Failures are logged, never thrown.
+  async dispatch(items) {
+    if (!items.length) return { subscriptions: 0, delivered: 0, failed: 0 };
+    const subscriptions = await Subscription.find({ active: true }).select('+secret').lean().exec();
+    const batches = subscriptions
+      .map(subscription => ({ subscription, items: items.filter(item => matches(item, subscription.filters)) }))
+      .filter(batch => batch.items.length);
+    const results = await mapWithConcurrency(batches, CONCURRENCY, batch =>
+      this.deliver(batch.subscription, 'news.created', batch.items.map(item => newsService.toPublic(item)))
+        .catch(error => {
+          logger.error('Webhook delivery could not be recorded:', { subscription: String(batch.subscription._id), message: error.message });
+          return { success: false };
+        }));
+    const delivered = results.filter(result => result.success).length;
+    return { subscriptions: batches.length, delivered, failed: results.length - delivered };
+  }
+
+  // Posts one signed payload, retrying with exponential backoff, and records the outcome
+  async deliver(subscription, event, data) {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, event, subscription: String(subscription._id), createdAt: new Date().toISOString(), data });
+    const startedAt = Date.now();
+    let attempts = 0;
+    let statusCode;
+    let error;
+    try {
+      const response = await retry(async attempt => {
+        attempts = attempt + 1;
+        await this.assertTarget(subscription.url);
+        // Signed per attempt so receivers can keep a tight timestamp tolerance
+        const timestamp = Math.floor(Date.now() / 1000);
+        return withTimeout(axios.post(subscription.url, body, {
+          timeout: TIMEOUT_MS,
+          maxRedirects: 0,
+          httpAgent,
+          httpsAgent,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+            'X-Webhook-Id': id,
+            'X-Webhook-Event': event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${sign(subscription.secret, timestamp, body)}`
+          }
+        }), TIMEOUT_MS);
+      }, { retries: RETRIES, baseDelay: RETRY_DELAY_MS, shouldRetry: error => !(error instanceof ApiError) && isRetryable(error) });
+      statusCode = response.status;
+    } catch (err) {
+      error = err;
+      statusCode = err.response?.status;
+    }
+    const success = !error;
+    await WebhookDelivery.create({
+      subscription: subscription._id,
+      event,
+      news: data.map(item => item._id),
+      success,
+      attempts,
+      statusCode,
+      error: error?.message,
+      durationMs: Date.now() - startedAt
+    });
+    await this.recordOutcome(subscription, success, error);
+    if (!success) logger.warn('Webhook delivery failed:', { subscription: String(subscription._id), url: subscription.url, attempts, statusCode, message: error.message });
+    return { success, attempts, statusCode };
+  }
+
+  async recordOutcome(subscription, success, error) {
+    const now = new Date();
+    if (success) {
+      await Subscription.updateOne({ _id: subscription._id }, { $set: { consecutiveFailures: 0, lastDeliveryAt: now, lastSuccessAt: now } }).exec();
+      return;
+    }
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id },
+      { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: now } },
+      { new: true, lean: true }
+    ).exec();
+    if (!updated || !updated.active || updated.consecutiveFailures < MAX_FAILURES) return;
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { $set: { active: false, disabledAt: now, disabledReason: `${updated.consecutiveFailures} consecutive failed deliveries, last: ${error.message}` } }
+    ).exec();
+    logger.warn('Webhook subscription disabled:', { subscription: String(subscription._id), url: subscription.url, failures: updated.consecutiveFailures });
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.sign = sign;
+module.exports.matches = matches;
@@ -0,0 +1,53 @@
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs `fn` over `items` with at most `limit` calls in flight; results keep input order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+};
+
+// Rejects with a code 'ETIMEDOUT' error when `promise` does not settle in time
+const withTimeout = (promise, ms, message = `Timed out after ${ms} ms`) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Calls `fn(attempt)` until it resolves, waiting baseDelay * 2^attempt (with
+// jitter) between attempts. `shouldRetry(error)` can stop early on permanent errors.
+const retry = async (fn, { retries = 2, baseDelay = 1000, shouldRetry = () => true } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      await sleep(baseDelay * 2 ** attempt * (0.5 + Math.random() / 2));
+    }
+  }
+};
+
+// `shouldRetry` for HTTP requests: network errors, timeouts, 5xx and throttling.
+// Other client errors will not heal on retry.
+const isRetryable = error => {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+};
+
+module.exports = { sleep, mapWithConcurrency, withTimeout, retry, isRetryable };
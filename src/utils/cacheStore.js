@@ -0,0 +1,113 @@
+const CacheEntry = require('../models/cacheEntry');
+const { escapeRegex } = require('./query');
+
+// Backends of the response cache. Entries are { value, tags, freshUntil, expiresAt }
+// (times in ms); a store never returns an entry past expiresAt.
+// A store implements get(key), set(key, entry), delete(key),
+// deleteByTags(tags) -> count, clear() and size().
+// A tag ending in `:*` matches every tag starting with what precedes the `*`.
+
+const tagMatcher = tags => {
+  const exact = tags.filter(tag => !tag.endsWith(':*'));
+  const prefixes = tags.filter(tag => tag.endsWith(':*')).map(tag => tag.slice(0, -1));
+  return tag => exact.includes(tag) || prefixes.some(prefix => tag.startsWith(prefix));
+};
+
+// Bounded LRU per process: the least recently read entry goes first
+class LruStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    // Re-inserting moves the entry to the most recent end of the Map
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async deleteByTags(tags) {
+    const matches = tagMatcher(tags);
+    let count = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.tags.some(matches)) {
+        this.entries.delete(key);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+// Shared by every instance; values are stored as JSON, so they come back as
+// the plain data a JSON response would contain (dates as strings)
+class MongoStore {
+  async get(key) {
+    const doc = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean().exec();
+    if (!doc) return undefined;
+    return { value: JSON.parse(doc.value), tags: doc.tags, freshUntil: doc.freshUntil.getTime(), expiresAt: doc.expiresAt.getTime() };
+  }
+
+  async set(key, { value, tags, freshUntil, expiresAt }) {
+    try {
+      await CacheEntry.updateOne(
+        { key },
+        { $set: { value: JSON.stringify(value), tags, freshUntil: new Date(freshUntil), expiresAt: new Date(expiresAt) } },
+        { upsert: true }
+      ).exec();
+    } catch (error) {
+      // Another instance stored the same key at the same moment
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  async delete(key) {
+    await CacheEntry.deleteOne({ key }).exec();
+  }
+
+  async deleteByTags(tags) {
+    const conditions = tags.map(tag => (tag.endsWith(':*')
+      ? { tags: { $regex: `^${escapeRegex(tag.slice(0, -1))}` } }
+      : { tags: tag }));
+    const { deletedCount } = await CacheEntry.deleteMany({ $or: conditions }).exec();
+    return deletedCount;
+  }
+
+  async clear() {
+    await CacheEntry.deleteMany({}).exec();
+  }
+
+  async size() {
+    return CacheEntry.countDocuments({ expiresAt: { $gt: new Date() } });
+  }
+}
+
+const createStore = (backend, options) => {
+  if (backend === 'memory') return new LruStore(options);
+  if (backend === 'mongo') return new MongoStore();
+  throw new Error(`Unknown cache backend: ${backend}`);
+};
+
+module.exports = { LruStore, MongoStore, createStore, tagMatcher };
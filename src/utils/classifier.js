@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Squashes an unbounded summed weight into 0..1: one threshold's worth of
+// evidence gives ~0.63, two ~0.86, three ~0.95
+const toConfidence = (score, threshold) => (score === Infinity ? 1 : 1 - Math.exp(-score / threshold));
+
+const round = value => Math.round(value * 100) / 100;
+
+// Builds a classifier from rules shaped like src/config/classifier.js
+const createClassifier = rules => {
+  const { fields = { title: 1 }, threshold: defaultThreshold = 1, tags } = rules;
+  const compiled = tags.map(({ tag, category = null, threshold = defaultThreshold, patterns }) => ({
+    tag,
+    category,
+    threshold,
+    patterns: patterns.map(({ pattern, weight = 1 }) => ({ regex: new RegExp(pattern, 'iu'), weight }))
+  }));
+  // Stored with every classified document to find the ones classified by older rules
+  const version = crypto.createHash('sha1').update(JSON.stringify(rules)).digest('hex').slice(0, 12);
+
+  // `presetTags` come from the feed (e.g. a reviews feed) and are always kept;
+  // `fallback` is the category used when no mapped tag is found
+  const classify = (item, { presetTags = [], fallback = 'update' } = {}) => {
+    const scored = compiled.map(rule => {
+      let score = presetTags.includes(rule.tag) ? Infinity : 0;
+      for (const [field, factor] of Object.entries(fields)) {
+        const text = item[field];
+        if (!text) continue;
+        for (const { regex, weight } of rule.patterns) {
+          if (regex.test(text)) score += weight * factor;
+        }
+      }
+      return { ...rule, score, confidence: toConfidence(score, rule.threshold) };
+    });
+    const matched = scored.filter(rule => rule.score >= rule.threshold).sort((a, b) => b.score - a.score);
+    const primary = matched.find(rule => rule.category);
+    return {
+      tags: matched.map(rule => rule.tag),
+      category: primary ? primary.category : fallback,
+      confidence: primary ? round(primary.confidence) : 0,
+      scores: Object.fromEntries(matched.map(rule => [rule.tag, round(rule.confidence)]))
+    };
+  };
+
+  return { version, tags: compiled.map(rule => rule.tag), classify };
+};
+
+module.exports = { createClassifier };
@@ -0,0 +1,20 @@
+// Opaque pagination cursors: base64url encoded { pubDate, _id } of the last item of a page.
+// Node's base64 decoder accepts the url-safe alphabet, so no reverse mapping is needed.
+const encodeCursor = item => Buffer.from(JSON.stringify({ d: new Date(item.pubDate).toISOString(), id: String(item._id) }))
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const decodeCursor = cursor => {
+  try {
+    const { d, id } = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    const pubDate = new Date(d);
+    if (isNaN(pubDate) || !/^[a-f\d]{24}$/i.test(id)) return null;
+    return { pubDate, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,47 @@
+const RSSParser = require('rss-parser');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/150';
+const FEED_TIMEOUT_MS = parseInt(process.env.FEED_TIMEOUT_MS) || 10000;
+
+const parser = new RSSParser({
+  customFields: {
+    item: [['media:content', 'mediaContent'], ['media:thumbnail', 'newsThumbnail'], ['dc:creator', 'creator']]
+  },
+  timeout: FEED_TIMEOUT_MS,
+  requestOptions: {
+    headers: { 'User-Agent': USER_AGENT }
+  }
+});
+
+const mediaUrl = media => (Array.isArray(media) ? media[0]?.$?.url : media?.$?.url) || null;
+
+const extractImage = item => item.enclosure?.url || mediaUrl(item.mediaContent) || mediaUrl(item.newsThumbnail) || PLACEHOLDER_IMAGE;
+
+const isValidItem = item => Boolean(item.title && item.link && (item.pubDate || item.isoDate));
+
+// Maps a raw rss-parser item to the shape stored and served by the API
+const normalizeItem = item => ({
+  title: item.title,
+  description: (item.contentSnippet || item.content || '').replace(/\n\s*\n/g, '\n').replace(/\n/g, ' ').trim(),
+  link: item.link,
+  pubDate: new Date(item.pubDate || item.isoDate),
+  image: extractImage(item),
+  author: item.creator || item.author || 'Unknown'
+});
+
+const matchesKeyword = (item, keyword) => {
+  const q = keyword.toLowerCase();
+  return item.title.toLowerCase().includes(q) || item.description.toLowerCase().includes(q);
+};
+
+module.exports = {
+  parser,
+  USER_AGENT,
+  PLACEHOLDER_IMAGE,
+  FEED_TIMEOUT_MS,
+  extractImage,
+  isValidItem,
+  normalizeItem,
+  matchesKeyword
+};
@@ -0,0 +1,125 @@
+const { PLACEHOLDER_IMAGE } = require('./feedParser');
+
+// Serializes stored news into syndication formats: RSS 2.0, Atom 1.0 and JSON Feed 1.1.
+// `meta` is { title, description, link (site), selfUrl, updated } and every
+// item carries its source registry entry as `sourceInfo` ({ id, name, url }).
+const FORMATS = {
+  rss: { type: 'application/rss+xml', extension: 'rss' },
+  atom: { type: 'application/atom+xml', extension: 'atom' },
+  json: { type: 'application/feed+json', extension: 'json' }
+};
+
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif' };
+
+const escapeXml = value => String(value ?? '')
+  // Characters XML 1.0 cannot carry at all
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const imageType = url => {
+  const extension = (String(url).split(/[?#]/)[0].match(/\.(\w+)$/) || [])[1];
+  return IMAGE_TYPES[(extension || '').toLowerCase()] || 'image/jpeg';
+};
+
+const isoDate = date => new Date(date).toISOString();
+
+// Category first, then classifier tags, without duplicates
+const labels = item => [...new Set([item.category, ...(item.tags || [])].filter(Boolean))];
+
+const hasAuthor = item => item.author && item.author !== 'Unknown';
+
+const hasImage = item => item.image && item.image !== PLACEHOLDER_IMAGE;
+
+const toRss = (items, meta) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+  '<channel>',
+  `<title>${escapeXml(meta.title)}</title>`,
+  `<link>${escapeXml(meta.link)}</link>`,
+  `<description>${escapeXml(meta.description)}</description>`,
+  `<atom:link href="${escapeXml(meta.selfUrl)}" rel="self" type="${FORMATS.rss.type}"/>`,
+  `<lastBuildDate>${new Date(meta.updated).toUTCString()}</lastBuildDate>`,
+  ...items.map(item => [
+    '<item>',
+    `<title>${escapeXml(item.title)}</title>`,
+    `<link>${escapeXml(item.link)}</link>`,
+    `<guid isPermaLink="true">${escapeXml(item.link)}</guid>`,
+    `<pubDate>${new Date(item.pubDate).toUTCString()}</pubDate>`,
+    item.description ? `<description>${escapeXml(item.description)}</description>` : '',
+    // <author> must be an e-mail address in RSS 2.0, names go to dc:creator
+    hasAuthor(item) ? `<dc:creator>${escapeXml(item.author)}</dc:creator>` : '',
+    ...labels(item).map(label => `<category>${escapeXml(label)}</category>`),
+    hasImage(item) ? `<enclosure url="${escapeXml(item.image)}" length="0" type="${imageType(item.image)}"/>` : '',
+    item.sourceInfo ? `<source url="${escapeXml(item.sourceInfo.url)}">${escapeXml(item.sourceInfo.name)}</source>` : '',
+    '</item>'
+  ].filter(Boolean).join('')),
+  '</channel>',
+  '</rss>'
+].join('\n');
+
+const toAtom = (items, meta) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<feed xmlns="http://www.w3.org/2005/Atom">',
+  `<id>${escapeXml(meta.selfUrl)}</id>`,
+  `<title>${escapeXml(meta.title)}</title>`,
+  `<subtitle>${escapeXml(meta.description)}</subtitle>`,
+  `<updated>${isoDate(meta.updated)}</updated>`,
+  `<link rel="self" type="${FORMATS.atom.type}" href="${escapeXml(meta.selfUrl)}"/>`,
+  `<link rel="alternate" href="${escapeXml(meta.link)}"/>`,
+  // Atom requires an author on the feed unless every entry has one
+  `<author><name>${escapeXml(meta.title)}</name></author>`,
+  ...items.map(item => [
+    '<entry>',
+    `<id>${escapeXml(item.link)}</id>`,
+    `<title>${escapeXml(item.title)}</title>`,
+    `<link rel="alternate" href="${escapeXml(item.link)}"/>`,
+    `<published>${isoDate(item.pubDate)}</published>`,
+    `<updated>${isoDate(item.updatedAt || item.pubDate)}</updated>`,
+    item.description ? `<summary>${escapeXml(item.description)}</summary>` : '',
+    hasAuthor(item) ? `<author><name>${escapeXml(item.author)}</name></author>` : '',
+    ...labels(item).map(label => `<category term="${escapeXml(label)}"/>`),
+    hasImage(item) ? `<link rel="enclosure" type="${imageType(item.image)}" href="${escapeXml(item.image)}"/>` : '',
+    item.sourceInfo
+      ? `<source><id>${escapeXml(item.sourceInfo.url)}</id><title>${escapeXml(item.sourceInfo.name)}</title><link rel="alternate" href="${escapeXml(item.sourceInfo.url)}"/></source>`
+      : '',
+    '</entry>'
+  ].filter(Boolean).join('')),
+  '</feed>'
+].join('\n');
+
+const toJsonFeed = (items, meta) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: meta.title,
+  home_page_url: meta.link,
+  feed_url: meta.selfUrl,
+  description: meta.description,
+  items: items.map(item => ({
+    id: item.link,
+    url: item.link,
+    title: item.title,
+    ...(item.description && { summary: item.description, content_text: item.description }),
+    ...(hasImage(item) && { image: item.image, attachments: [{ url: item.image, mime_type: imageType(item.image) }] }),
+    date_published: isoDate(item.pubDate),
+    ...(item.updatedAt && { date_modified: isoDate(item.updatedAt) }),
+    ...(hasAuthor(item) && { authors: [{ name: item.author }] }),
+    tags: labels(item),
+    // Custom extensions must start with an underscore
+    ...(item.sourceInfo && { _source: item.sourceInfo })
+  }))
+});
+
+const WRITERS = { rss: toRss, atom: toAtom, json: toJsonFeed };
+
+const writeFeed = (format, items, meta) => WRITERS[format](items, meta);
+
+// Format requested through the Accept header, null when the client wants plain JSON
+const negotiateFormat = req => {
+  const accepted = req.accepts(['application/json', ...Object.values(FORMATS).map(format => format.type)]);
+  return Object.keys(FORMATS).find(format => FORMATS[format].type === accepted) || null;
+};
+
+module.exports = { FORMATS, escapeXml, writeFeed, negotiateFormat, toRss, toAtom, toJsonFeed };
@@ -0,0 +1,54 @@
+const { slugify, romanToDigits } = require('./reviews');
+
+// Finds games mentioned in a headline. Names and text are compared as word
+// sequences with roman numerals as digits, so "Final Fantasy VII", "final fantasy 7"
+// and "Final-Fantasy VII:" are the same mention. Overlapping mentions resolve
+// to the longest name: "Elden Ring Nightreign" is not also "Elden Ring".
+const slugWords = text => slugify(text).split('-').filter(Boolean);
+
+// A name ending in "V" or "X" is matched as a key ("final fantasy 10") and as written
+const nameSequences = name => {
+  const written = slugWords(name);
+  const key = romanToDigits(written);
+  return key.join('-') === written.join('-') ? [key] : [key, written];
+};
+
+// A lone "x" or "v" in a headline is a word, not a numeral ("Xbox Series X")
+const textWords = text => romanToDigits(slugWords(text), { lastWord: false });
+
+// entries: [{ id, names, listed }]; one-word names are only used for `listed` entries
+const createGameMatcher = entries => {
+  const byFirstWord = new Map();
+  for (const { id, names, listed = false } of entries) {
+    for (const name of names) {
+      for (let sequence of nameSequences(name)) {
+        // "The Witcher 4" is usually written "Witcher 4"
+        if (sequence[0] === 'the' && sequence.length > 1) sequence = sequence.slice(1);
+        if (!sequence.length || (sequence.length === 1 && !listed)) continue;
+        if (!byFirstWord.has(sequence[0])) byFirstWord.set(sequence[0], []);
+        byFirstWord.get(sequence[0]).push({ id, sequence });
+      }
+    }
+  }
+  for (const candidates of byFirstWord.values()) candidates.sort((a, b) => b.sequence.length - a.sequence.length);
+
+  const match = text => {
+    const tokens = textWords(text);
+    const ids = new Map();
+    for (let i = 0; i < tokens.length;) {
+      const found = (byFirstWord.get(tokens[i]) || [])
+        .find(({ sequence }) => sequence.every((word, offset) => tokens[i + offset] === word));
+      if (!found) {
+        i++;
+        continue;
+      }
+      ids.set(String(found.id), found.id);
+      i += found.sequence.length;
+    }
+    return [...ids.values()];
+  };
+
+  return { match };
+};
+
+module.exports = { createGameMatcher };
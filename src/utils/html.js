@@ -0,0 +1,57 @@
+// Allowlist sanitizer for scraped markup. Clients render the result, so
+// anything not listed here is unwrapped (kept as text) or dropped entirely.
+const INLINE_TAGS = ['a', 'b', 'strong', 'i', 'em', 'u', 'br', 'code', 'sup', 'sub', 'small', 'mark', 's'];
+const BLOCK_TAGS = ['p', 'h2', 'h3', 'h4', 'ul', 'ol', 'li', 'blockquote', 'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'];
+const DROPPED_TAGS = ['script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'form', 'input', 'button', 'select', 'textarea', 'svg', 'canvas', 'link', 'meta'];
+const ALLOWED_ATTRIBUTES = { a: ['href'], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'] };
+
+// Resolves a possibly relative URL against the article link; only http(s) survives
+const toAbsoluteUrl = (url, base) => {
+  if (!url) return null;
+  try {
+    const resolved = new URL(String(url).trim(), base);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const cleanAttributes = (el, base) => {
+  const allowed = ALLOWED_ATTRIBUTES[el.tagName] || [];
+  for (const name of Object.keys(el.attribs || {})) {
+    if (!allowed.includes(name)) delete el.attribs[name];
+  }
+  if (el.tagName === 'a') {
+    const href = toAbsoluteUrl(el.attribs.href, base);
+    if (href) el.attribs.href = href;
+    else delete el.attribs.href;
+  }
+  for (const name of ['colspan', 'rowspan']) {
+    if (el.attribs[name] !== undefined && !/^\d{1,3}$/.test(el.attribs[name])) delete el.attribs[name];
+  }
+};
+
+const removeComments = ($, node) => {
+  for (const child of [...(node.children || [])]) {
+    if (child.type === 'comment') $(child).remove();
+    else removeComments($, child);
+  }
+};
+
+// Returns sanitized HTML of a cheerio element (outer by default, inner with { inner: true })
+const sanitizeHtml = ($, element, base, { inner = false } = {}) => {
+  const clone = $(element).first().clone();
+  const descendants = clone.find('*').toArray().reverse();
+  for (const el of descendants) {
+    const node = $(el);
+    if (DROPPED_TAGS.includes(el.tagName)) node.remove();
+    else if (!INLINE_TAGS.includes(el.tagName) && !BLOCK_TAGS.includes(el.tagName)) node.replaceWith(node.contents());
+    else cleanAttributes(el, base);
+  }
+  removeComments($, clone.get(0));
+  if (inner) return (clone.html() || '').trim();
+  cleanAttributes(clone.get(0), base);
+  return $.html(clone);
+};
+
+module.exports = { toAbsoluteUrl, sanitizeHtml };
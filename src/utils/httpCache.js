@@ -0,0 +1,38 @@
+// Parses "max-age=300, public" into { 'max-age': '300', public: true }
+const parseCacheControl = header => Object.fromEntries(
+  String(header || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [name, value] = part.split('=');
+      return [name.toLowerCase(), value === undefined ? true : value.replace(/^"|"$/g, '')];
+    })
+);
+
+// How long a fetched feed may be reused before asking the origin again, in ms.
+// HTTP caching headers describe the response at hand and win over the feed's
+// own `ttl` element (minutes); without any hint the feed is polled every run.
+const getFreshnessMs = (headers = {}, ttl = null) => {
+  const cacheControl = parseCacheControl(headers['cache-control']);
+  if (cacheControl['no-store'] || cacheControl['no-cache']) return 0;
+  const maxAge = parseInt(cacheControl['s-maxage'] ?? cacheControl['max-age']);
+  if (maxAge >= 0) return Math.max(maxAge - (parseInt(headers.age) || 0), 0) * 1000;
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = Date.parse(headers.date) || Date.now();
+    return Number.isNaN(expires) ? 0 : Math.max(expires - date, 0);
+  }
+  const ttlMinutes = parseInt(ttl);
+  return ttlMinutes > 0 ? ttlMinutes * 60 * 1000 : 0;
+};
+
+// Newest `pubDate` of a response's data (an item or a list of items), or null
+const lastModifiedOf = data => {
+  const times = (Array.isArray(data) ? data : [data])
+    .map(item => Date.parse(item?.pubDate))
+    .filter(time => !Number.isNaN(time));
+  return times.length ? new Date(Math.max(...times)) : null;
+};
+
+module.exports = { parseCacheControl, getFreshnessMs, lastModifiedOf };
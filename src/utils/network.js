@@ -0,0 +1,115 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { ApiError } = require('./errors');
+
+// Ranges a server-side fetch must never reach: loopback, private networks,
+// link-local (cloud metadata lives at 169.254.169.254), CGNAT, multicast, reserved
+const BLOCKED_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+const v4ToInt = ip => ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet, 10), 0) >>> 0;
+
+const inV4Range = (ip, [base, bits]) => {
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (v4ToInt(ip) & mask) === (v4ToInt(base) & mask);
+};
+
+const isPrivateAddress = address => {
+  const ip = String(address).replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIPv4(ip)) return BLOCKED_V4.some(range => inV4Range(ip, range));
+  if (!net.isIPv6(ip)) return true;
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const mappedHex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map(part => parseInt(part, 16));
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  return ip === '::' || ip === '::1' ||
+    /^f[cd][0-9a-f]{2}:/.test(ip) ||  // unique local fc00::/7
+    /^fe[89ab][0-9a-f]:/.test(ip) ||  // link-local fe80::/10
+    /^ff[0-9a-f]{2}:/.test(ip) ||     // multicast
+    /^64:ff9b:/.test(ip) ||           // NAT64
+    /^2001:db8:/.test(ip);            // documentation
+};
+
+// Resolves every address of a host and returns only if all of them are public
+const resolvePublicAddresses = async hostname => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true, verbatim: true })).map(entry => entry.address);
+  if (!addresses.length || addresses.some(isPrivateAddress)) {
+    const error = new Error(`Host ${hostname} resolves to a private address`);
+    error.code = 'EPRIVATEADDRESS';
+    throw error;
+  }
+  return addresses;
+};
+
+// dns.lookup replacement for http(s) agents: re-checks at connect time so a
+// host cannot pass validation and then rebind to an internal address
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const entries = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (entries.some(isPrivateAddress)) {
+      const error = new Error(`Host ${hostname} resolves to a private address`);
+      error.code = 'EPRIVATEADDRESS';
+      return callback(error);
+    }
+    callback(null, address, family);
+  });
+};
+
+// Agents for every server-side request to a user-supplied URL
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+const lowerFirst = text => text.charAt(0).toLowerCase() + text.slice(1);
+
+// Parses a user-supplied URL, e.g. an article link or a webhook URL named by
+// `name`: http(s) only, without credentials and, with `defaultPort`, on 80/443
+const parsePublicUrl = (link, { name, defaultPort = false }) => {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    throw new ApiError(`Invalid ${lowerFirst(name)}`, 400);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new ApiError(`Only http and https ${lowerFirst(name)}s are supported`, 400);
+  if (url.username || url.password) throw new ApiError(`${name}s must not contain credentials`, 400);
+  if (defaultPort && url.port && !['80', '443'].includes(url.port)) throw new ApiError(`${name}s must use the default port`, 403);
+  return url;
+};
+
+// resolvePublicAddresses for a parsed URL, failing with an ApiError
+const assertPublicHost = async (url, { name }) => {
+  try {
+    await resolvePublicAddresses(url.hostname);
+  } catch (error) {
+    if (error.code === 'EPRIVATEADDRESS') throw new ApiError(`${name} resolves to a private address`, 403);
+    throw new ApiError(`The host of the ${lowerFirst(name)} could not be resolved`, 400);
+  }
+  return url;
+};
+
+// Whether a failed request was refused by safeLookup
+const isPrivateAddressError = error => error.code === 'EPRIVATEADDRESS' || error.cause?.code === 'EPRIVATEADDRESS';
+
+module.exports = {
+  isPrivateAddress,
+  resolvePublicAddresses,
+  safeLookup,
+  httpAgent,
+  httpsAgent,
+  parsePublicUrl,
+  assertPublicHost,
+  isPrivateAddressError
+};
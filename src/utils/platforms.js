@@ -0,0 +1,41 @@
+const rules = require('../config/platforms');
+const sources = require('./sources');
+
+const normalizeName = value => String(value).toLowerCase().replace(/[-_/]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+const platforms = rules.map(({ id, patterns, names }) => ({
+  id,
+  regexes: patterns.map(pattern => new RegExp(pattern, 'i')),
+  names: new Set(names.map(normalizeName))
+}));
+
+const PLATFORMS = rules.map(rule => rule.id);
+
+// rss-parser gives RSS categories as strings and Atom ones as { $: { term } }
+const categoryText = category => (typeof category === 'string' ? category : category?._ || category?.$?.term || '');
+
+const pathSegments = link => {
+  try {
+    return new URL(link).pathname.split('/').filter(Boolean).map(normalizeName);
+  } catch (error) {
+    return [];
+  }
+};
+
+// Platforms of a normalized item ({ title, description, link, source }).
+// `categories` are the raw feed categories, which are not stored.
+const detectPlatforms = (item, { categories = [] } = {}) => {
+  const text = `${item.title || ''} ${item.description || ''}`;
+  const labels = [].concat(categories).map(categoryText).map(normalizeName).filter(Boolean);
+  const segments = pathSegments(item.link);
+  const implied = sources.getSource(item.source)?.platforms || [];
+  return platforms
+    .filter(platform =>
+      implied.includes(platform.id) ||
+      platform.regexes.some(regex => regex.test(text)) ||
+      labels.some(label => platform.names.has(label) || platform.regexes.some(regex => regex.test(label))) ||
+      segments.some(segment => platform.names.has(segment)))
+    .map(platform => platform.id);
+};
+
+module.exports = { PLATFORMS, detectPlatforms };
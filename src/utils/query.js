@@ -0,0 +1,10 @@
+// Accepts both repeated (?a=x&a=y) and comma separated (?a=x,y) query values
+const toList = value => [].concat(value || [])
+  .flatMap(entry => String(entry).split(','))
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+// Makes user input safe to embed in a $regex
+const escapeRegex = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { toList, escapeRegex };
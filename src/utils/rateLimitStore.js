@@ -0,0 +1,80 @@
+const RateLimit = require('../models/rateLimit');
+
+// Counter stores of the rate limiter. Windows are fixed and aligned on
+// multiples of windowMs, so every instance sharing a store agrees on them.
+// A store implements
+//   increment(key, windowMs) -> { count, resetAt }  count includes this request
+//   entries()                -> [{ key, count, resetAt }] of the open windows
+//   reset(key)               -> forgets the counter of key
+
+const windowOf = windowMs => {
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  return { windowStart: new Date(windowStart), resetAt: new Date(windowStart + windowMs) };
+};
+
+// Per process; for tests and single-instance deployments
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async increment(key, windowMs) {
+    const { resetAt } = windowOf(windowMs);
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= Date.now()) {
+      counter = { count: 0, resetAt };
+      this.counters.set(key, counter);
+    }
+    counter.count++;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  async entries() {
+    const now = Date.now();
+    const open = [];
+    for (const [key, { count, resetAt }] of this.counters) {
+      if (resetAt <= now) this.counters.delete(key);
+      else open.push({ key, count, resetAt });
+    }
+    return open;
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+}
+
+// Shared by every instance; expired windows are removed by a TTL index
+class MongoStore {
+  async increment(key, windowMs, retried = false) {
+    const { windowStart, resetAt } = windowOf(windowMs);
+    try {
+      const counter = await RateLimit.findOneAndUpdate(
+        { key, windowStart },
+        { $inc: { count: 1 }, $setOnInsert: { resetAt } },
+        { upsert: true, new: true, lean: true }
+      ).exec();
+      return { count: counter.count, resetAt: counter.resetAt };
+    } catch (error) {
+      // Two instances inserting the same window at once: the loser increments the winner's document
+      if (error.code === 11000 && !retried) return this.increment(key, windowMs, true);
+      throw error;
+    }
+  }
+
+  async entries() {
+    return RateLimit.find({ resetAt: { $gt: new Date() } }, { _id: 0, key: 1, count: 1, resetAt: 1 }).lean().exec();
+  }
+
+  async reset(key) {
+    await RateLimit.deleteMany({ key }).exec();
+  }
+}
+
+const createStore = type => {
+  if (type === 'memory') return new MemoryStore();
+  if (type === 'mongo') return new MongoStore();
+  throw new Error(`Unknown rate limit store: ${type}`);
+};
+
+module.exports = { MemoryStore, MongoStore, createStore };
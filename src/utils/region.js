@@ -0,0 +1,11 @@
+const geoip = require('geoip-lite');
+
+const EU_COUNTRIES = ['AT','BE','BG','CY','CZ','DE','DK','EE','ES','FI','FR','GR','HR','HU','IE','IT','LT','LU','LV','MT','NL','PL','PT','RO','SE','SI','SK'];
+
+// Resolves the client region used for source availability: 'EU' or 'other'
+const getRegion = ip => {
+  const geo = geoip.lookup(ip);
+  return geo && EU_COUNTRIES.includes(geo.country) ? 'EU' : 'other';
+};
+
+module.exports = { getRegion, EU_COUNTRIES };
@@ -0,0 +1,37 @@
+// The one JSON envelope of the API:
+//   { success: true, data, pagination?, meta? }
+//   { success: false, error: { message, code, details? } }
+// `pagination` has the same shape on every paginated route and `meta` carries
+// anything else (notices, summaries).
+const success = (data, { pagination = null, meta = null } = {}) => ({
+  success: true,
+  data,
+  ...(pagination && { pagination }),
+  ...(meta && { meta })
+});
+
+const failure = (message, code, details = null) => ({
+  success: false,
+  error: { message, code, ...(details && { details }) }
+});
+
+// Page/limit pagination; `nextCursor` lets clients switch to keyset paging
+const pagePagination = ({ page, limit, total, nextCursor = null }) => ({
+  current: page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit),
+  hasMore: page * limit < total,
+  nextCursor
+});
+
+// Keyset pagination has no total: counting would defeat its purpose
+const cursorPagination = ({ limit, hasMore, nextCursor }) => ({ limit, hasMore, nextCursor });
+
+// Paginates an in-memory list (live feeds, cached catalogues)
+const paginateList = (items, page, limit) => ({
+  data: items.slice((page - 1) * limit, page * limit),
+  pagination: pagePagination({ page, limit, total: items.length })
+});
+
+module.exports = { success, failure, pagePagination, cursorPagination, paginateList };
@@ -0,0 +1,73 @@
+// Review helpers for the game catalogue: reading scores out of feed snippets,
+// bringing them to one scale and deriving the reviewed game from the headline.
+const FRACTION = /(\d+(?:[.,]\d+)?)\s*(?:\/|out of)\s*(\d+)\b/i;
+const STARS = /(\d(?:[.,]\d)?)\s*stars?\b/i;
+const LABELLED = /\b(?:score[ds]?|rated|rating|verdict)\s*:?\s*(\d+(?:[.,]\d+)?)\b/i;
+// Scales outlets actually use; anything else is a date, a ratio or a price
+const SCALES = [5, 10, 20, 100];
+
+const toNumber = text => parseFloat(text.replace(',', '.'));
+
+// Finds a review score in free text: "8/10", "9 out of 10", "85/100", "4.5 stars",
+// "Score: 7". Returns { score, scale } on the outlet's scale or null.
+const extractScore = text => {
+  const content = String(text || '');
+  const fraction = content.match(FRACTION);
+  if (fraction) {
+    const score = toNumber(fraction[1]);
+    const scale = parseInt(fraction[2]);
+    if (SCALES.includes(scale) && score <= scale) return { score, scale };
+  }
+  const stars = content.match(STARS);
+  if (stars && toNumber(stars[1]) <= 5) return { score: toNumber(stars[1]), scale: 5 };
+  const labelled = content.match(LABELLED);
+  if (labelled) {
+    const score = toNumber(labelled[1]);
+    // A bare number is out of 10 unless it can only be a percentage
+    if (score <= 10) return { score, scale: 10 };
+    if (score <= 100) return { score, scale: 100 };
+  }
+  return null;
+};
+
+// Scores out of 10 with one decimal, whatever the outlet's scale
+const normalizeScore = (score, scale = 10) => {
+  if (score === null || score === undefined || !scale) return null;
+  return Math.round((score / scale) * 100) / 10;
+};
+
+// "Elden Ring Review", "Metaphor: ReFantazio Review - A Modern Classic",
+// "Review: Astro Bot (PS5)" and "Hades 2 Review in Progress" all name the game
+// before the word review
+const gameTitle = reviewTitle => String(reviewTitle || '')
+  .replace(/^\s*review\s*[:\-–—|]\s*/i, '')
+  .replace(/\s*[:\-–—|]?\s*\breview\b.*$/i, '')
+  .replace(/\s*\([^)]*\)\s*$/, '')
+  .trim();
+
+const ROMAN = { ii: '2', iii: '3', iv: '4', v: '5', vi: '6', vii: '7', viii: '8', ix: '9', x: '10', xi: '11', xii: '12', xiii: '13', xiv: '14', xv: '15', xvi: '16' };
+
+// Readable URL id: lowercase words without accents joined by dashes ("Pokémon Legends: Z-A" -> "pokemon-legends-z-a")
+const slugify = title => String(title || '')
+  // Before NFKD, which spells ™ out as "TM"
+  .replace(/[™®©]/g, '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/['’]/g, '')
+  .replace(/&/g, ' and ')
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .join('-');
+
+// Roman numerals among slug words as digits. The single letters "v" and "x" are
+// only numerals as the last word of a title ("Grand Theft Auto V"); elsewhere,
+// and anywhere in free text (`lastWord: false`), they are words ("V Rising", "Series X")
+const romanToDigits = (words, { lastWord = true } = {}) => words.map((word, index) =>
+  (ROMAN[word] && (word.length > 1 || (lastWord && index === words.length - 1)) ? ROMAN[word] : word));
+
+// Key reviews of the same game share across outlets: the slug with roman
+// numerals as digits ("Final Fantasy VII" / "Final Fantasy 7")
+const gameKey = title => romanToDigits(slugify(title).split('-')).join('-');
+
+module.exports = { extractScore, normalizeScore, gameTitle, slugify, gameKey, romanToDigits };
@@ -0,0 +1,50 @@
+const sources = require('../config/sources');
+
+const resolveEnv = name => process.env[name] || process.env[`${name}_URL`] || null;
+
+const getSource = id => sources.find(source => source.id === id) || null;
+
+const getSourceIds = () => sources.map(source => source.id);
+
+// All feeds that have a URL configured, flattened across sources
+const getFeeds = () => sources.flatMap(source =>
+  source.feeds
+    .map(feed => ({ source: source.id, kind: feed.kind, category: feed.category, tags: feed.tags || [], url: resolveEnv(feed.env) }))
+    .filter(feed => feed.url)
+);
+
+const getFeed = (sourceId, kind = 'news') => getFeeds().find(feed => feed.source === sourceId && feed.kind === kind) || null;
+
+const findSourceByUrl = url => {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+  return sources.find(source =>
+    source.domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))
+  ) || null;
+};
+
+const isAvailableIn = (source, region) => !source.regions || source.regions.includes(region);
+
+// Source ids that must be hidden from clients in the given region
+const getHiddenSourceIds = region => sources.filter(source => !isAvailableIn(source, region)).map(source => source.id);
+
+// Condition on News.source leaving out the sources hidden in the region, or null
+const visibleSourceFilter = region => {
+  const hidden = getHiddenSourceIds(region);
+  return hidden.length ? { $nin: hidden } : null;
+};
+
+module.exports = {
+  getSource,
+  getSourceIds,
+  getFeeds,
+  getFeed,
+  findSourceByUrl,
+  isAvailableIn,
+  getHiddenSourceIds,
+  visibleSourceFilter
+};
@@ -1,5 +1,45 @@
+const path = require('path');
 const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const { getSourceIds } = require('./sources');
+const { PLATFORMS } = require('./platforms');
+
+const sourceParam = { name: 'source', in: 'path', required: true, schema: { type: 'string', enum: getSourceIds() } };
+const keywordParam = { name: 'q', in: 'query', description: 'Keyword filter', required: false, schema: { type: 'string' } };
+const platformParam = {
+  name: 'platform',
+  in: 'query',
+  description: 'Comma separated platforms; items on any of them match',
+  required: false,
+  schema: { type: 'array', items: { type: 'string', enum: PLATFORMS } },
+  style: 'form',
+  explode: false
+};
+const pageParams = [
+  { name: 'page', in: 'query', required: false, schema: { type: 'integer', default: 1 } },
+  { name: 'limit', in: 'query', required: false, schema: { type: 'integer', default: 20 } }
+];
+const feedResponses = {
+  200: {
+    description: 'Successful response',
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: { type: 'array', items: { $ref: '#/components/schemas/FeedItem' } },
+            pagination: { $ref: '#/components/schemas/Pagination' },
+            meta: { type: 'object', properties: { message: { type: 'string' } } }
+          }
+        }
+      }
+    }
+  },
+  403: { description: 'Source not available in the client region' },
+  404: { description: 'Unknown source or feed not configured' },
+  500: { description: 'Feed could not be fetched' }
+};
 
 const options = {
   definition: {
@@ -7,13 +47,54 @@ const options = {
     info: {
       title: 'Gaming News Aggregator API',
       version: '1.0.0',
-      description: 'API for aggregating gaming news and reviews from multiple trusted sources.'
+      description: 'API for aggregating gaming news and reviews from multiple trusted sources. ' +
+        'Every JSON response uses one envelope: `{ success, data, pagination?, meta? }` or `{ success: false, error }`. ' +
+        'The unversioned /api/... paths are deprecated aliases of /api/v1/....'
     },
     servers: [
-      { url: 'http://localhost:3000' }
+      { url: '/api/v1' }
     ],
     components: {
+      securitySchemes: {
+        ApiKey: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'API key sent as `Authorization: Bearer <key>` (or in `X-API-Key`). Admin, ingest and key management routes require one.'
+        }
+      },
+      responses: {
+        Error: {
+          description: 'Error',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+        }
+      },
       schemas: {
+        Pagination: {
+          type: 'object',
+          description: 'Page mode has current/total/pages; cursor mode only limit/hasMore/nextCursor',
+          properties: {
+            current: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer', description: 'Number of items' },
+            pages: { type: 'integer' },
+            hasMore: { type: 'boolean' },
+            nextCursor: { type: 'string', nullable: true, description: 'Pass as `cursor` to fetch the next page' }
+          }
+        },
+        ErrorResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                message: { type: 'string' },
+                code: { type: 'integer', description: 'HTTP status code' },
+                details: { type: 'array', items: { type: 'object' }, description: 'Validation errors, when the request was invalid' }
+              }
+            }
+          }
+        },
         FeedItem: {
           type: 'object',
           properties: {
@@ -21,190 +102,41 @@ const options = {
             description: { type: 'string' },
             link: { type: 'string' },
             pubDate: { type: 'string', format: 'date-time' },
-            image: { type: 'string' }
+            image: { type: 'string' },
+            author: { type: 'string' },
+            source: { type: 'string' },
+            platforms: { type: 'array', items: { type: 'string', enum: PLATFORMS } },
+            score: { type: 'number', nullable: true, description: 'Review score out of 10 (reviews feeds only)' }
           }
         }
       }
     },
     paths: {
-      '/api/feeds/gamespot/news': {
-        get: {
-          summary: 'Get GameSpot News Feed',
-          parameters: [
-            { name: 'q', in: 'query', description: 'Keyword filter', required: false, schema: { type: 'string' } }
-          ],
-          responses: {
-            200: {
-              description: 'Successful response',
-              content: {
-                'application/json': {
-                  schema: {
-                    type: 'object',
-                    properties: {
-                      success: { type: 'boolean' },
-                      data: { type: 'array', items: { $ref: '#/components/schemas/FeedItem' } },
-                      message: { type: 'string' }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      },
-      '/api/feeds/gamespot/reviews': {
-        get: {
-          summary: 'Get GameSpot Reviews Feed',
-          parameters: [
-            { name: 'q', in: 'query', description: 'Keyword filter', required: false, schema: { type: 'string' } }
-          ],
-          responses: {
-            200: {
-              description: 'Successful response',
-              content: {
-                'application/json': {
-                  schema: {
-                    type: 'object',
-                    properties: {
-                      success: { type: 'boolean' },
-                      data: { type: 'array', items: { $ref: '#/components/schemas/FeedItem' } },
-                      message: { type: 'string' }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      },
-      '/api/feeds/polygon': {
-        get: {
-          summary: 'Get Polygon Feed',
-          parameters: [
-            { name: 'q', in: 'query', description: 'Keyword filter', required: false, schema: { type: 'string' } }
-          ],
-          responses: {
-            200: {
-              description: 'Successful response',
-              content: {
-                'application/json': {
-                  schema: {
-                    type: 'object',
-                    properties: {
-                      success: { type: 'boolean' },
-                      data: { type: 'array', items: { $ref: '#/components/schemas/FeedItem' } },
-                      message: { type: 'string' }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      },
-      '/api/feeds/kotaku': {
+      '/feeds/{source}': {
         get: {
-          summary: 'Get Kotaku Feed',
-          parameters: [
-            { name: 'q', in: 'query', description: 'Keyword filter', required: false, schema: { type: 'string' } }
-          ],
-          responses: {
-            200: {
-              description: 'Successful response',
-              content: {
-                'application/json': {
-                  schema: {
-                    type: 'object',
-                    properties: {
-                      success: { type: 'boolean' },
-                      data: { type: 'array', items: { $ref: '#/components/schemas/FeedItem' } },
-                      message: { type: 'string' }
-                    }
-                  }
-                }
-              }
-            }
-          }
+          tags: ['Feeds'],
+          summary: 'Get the news feed of a registered source',
+          parameters: [sourceParam, keywordParam, platformParam, ...pageParams],
+          responses: feedResponses
         }
       },
-      '/api/feeds/eurogamer': {
+      '/feeds/{source}/{feed}': {
         get: {
-          summary: 'Get Eurogamer Feed',
+          tags: ['Feeds'],
+          summary: 'Get a specific feed (news, reviews) of a registered source',
           parameters: [
-            { name: 'q', in: 'query', description: 'Keyword filter', required: false, schema: { type: 'string' } }
+            sourceParam,
+            { name: 'feed', in: 'path', required: true, schema: { type: 'string', enum: ['news', 'reviews'] } },
+            keywordParam,
+            platformParam,
+            ...pageParams
           ],
-          responses: {
-            200: {
-              description: 'Successful response',
-              content: {
-                'application/json': {
-                  schema: {
-                    type: 'object',
-                    properties: {
-                      success: { type: 'boolean' },
-                      data: { type: 'array', items: { $ref: '#/components/schemas/FeedItem' } },
-                      message: { type: 'string' }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      },
-      '/api/feeds/pcgamer': {
-        get: {
-          summary: 'Get PC Gamer Feed',
-          parameters: [
-            { name: 'q', in: 'query', description: 'Keyword filter', required: false, schema: { type: 'string' } }
-          ],
-          responses: {
-            200: {
-              description: 'Successful response',
-              content: {
-                'application/json': {
-                  schema: {
-                    type: 'object',
-                    properties: {
-                      success: { type: 'boolean' },
-                      data: { type: 'array', items: { $ref: '#/components/schemas/FeedItem' } },
-                      message: { type: 'string' }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      },
-      '/api/feeds/ign/news': {
-        get: {
-          summary: 'Get IGN News Feed',
-          parameters: [
-            { name: 'q', in: 'query', description: 'Keyword filter', required: false, schema: { type: 'string' } }
-          ],
-          responses: {
-            200: {
-              description: 'Successful response',
-              content: {
-                'application/json': {
-                  schema: {
-                    type: 'object',
-                    properties: {
-                      success: { type: 'boolean' },
-                      data: { type: 'array', items: { $ref: '#/components/schemas/FeedItem' } },
-                      message: { type: 'string' }
-                    }
-                  }
-                }
-              }
-            }
-          }
+          responses: feedResponses
         }
       }
     }
   },
-  apis: [] // Inline annotations can be added here if needed.
+  apis: [path.join(__dirname, '../routes/*.js')]
 };
 
 const specs = swaggerJsDoc(options);
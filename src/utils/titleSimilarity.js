@@ -0,0 +1,109 @@
+// Headline comparison used to cluster near-duplicate stories across outlets.
+// Titles are reduced to content tokens; "entities" are adjacent token pairs
+// (names like "elden ring", "switch 2") and platform-like tokens ("ps5"),
+// which survive the rewording outlets apply to the same announcement.
+// Generic news vocabulary counts for little, otherwise every
+// "X release date announced" would match every other one. A game name both
+// headlines share is no evidence by itself either: "GTA 6 trailer 3" and
+// "GTA 6 price leak" are different stories about the same game.
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'how', 'in', 'into', 'is', 'it',
+  'its', 'new', 'now', 'of', 'on', 'or', 'out', 'over', 'that', 'the', 'their', 'this', 'to', 'up', 'was', 'what',
+  'when', 'where', 'who', 'why', 'will', 'with', 'you', 'your', 'after', 'about', 'just', 'more', 'than', 'here',
+  'gets', 'get', 'says', 'said', 'report', 'reportedly', 'officially', 'finally', 'first', 'look', 'all'
+]);
+const GENERIC = new Set([
+  'release', 'released', 'releases', 'date', 'dates', 'announced', 'announces', 'announce', 'announcement',
+  'reveal', 'revealed', 'reveals', 'trailer', 'trailers', 'review', 'reviews', 'update', 'updates', 'patch',
+  'launch', 'launches', 'launched', 'confirms', 'confirmed', 'coming', 'game', 'games', 'gameplay', 'news',
+  'price', 'deal', 'deals', 'best', 'week', 'today', 'edition', 'season', 'video', 'details', 'leak', 'leaked',
+  'rumor', 'rumour', 'free', 'players', 'everything', 'know', 'guide'
+]);
+const GENERIC_WEIGHT = 0.25;
+// Words outlets use for the same event, compared as one outside the shared name
+const SYNONYMS = {
+  launch: 'release', launches: 'release', launched: 'release', released: 'release', releases: 'release',
+  announces: 'announce', announced: 'announce', announcement: 'announce', confirms: 'announce', confirmed: 'announce',
+  reveal: 'announce', revealed: 'announce', reveals: 'announce',
+  delayed: 'delay', delays: 'delay'
+};
+
+const weight = token => (GENERIC.has(token) ? GENERIC_WEIGHT : 1);
+
+const tokenize = title => [...new Set(
+  String(title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]s\b/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => (token.length > 1 || /\d/.test(token)) && !STOPWORDS.has(token))
+)];
+
+const extractEntities = title => {
+  const tokens = tokenize(title);
+  const pairs = tokens.slice(1)
+    .map((token, i) => [tokens[i], token])
+    .filter(pair => pair.some(token => !GENERIC.has(token)))
+    .map(pair => pair.join(' '));
+  const marked = tokens.filter(token => /\d/.test(token) && /\p{L}/u.test(token));
+  return [...new Set([...pairs, ...marked])];
+};
+
+const sum = tokens => tokens.reduce((total, token) => total + weight(token), 0);
+
+// Weighted Jaccard index of two token lists
+const jaccard = (a, b) => {
+  if (!a.length || !b.length) return 0;
+  const setB = new Set(b);
+  const shared = sum(a.filter(token => setB.has(token)));
+  return shared / (sum(a) + sum(b) - shared);
+};
+
+const isNumber = token => /^\d+$/.test(token || '');
+
+// Longest run of at least two non-generic tokens both titles have in the same
+// order, i.e. the name of the game the headlines are about, or null
+const sharedName = (a, b) => {
+  let best = null;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      let length = 0;
+      while (a[i + length] !== undefined && a[i + length] === b[j + length] && !GENERIC.has(a[i + length])) length++;
+      if (length >= 2 && length > (best?.length || 0)) best = { i, j, length };
+    }
+  }
+  return best;
+};
+
+// Whether the headlines share more than a name: a differing number right after
+// it is another instalment ("Black Ops 7" / "Black Ops 6"), and some word outside
+// it must be shared
+const sameStory = (a, b) => {
+  const name = sharedName(a, b);
+  if (!name) return true;
+  const nextA = a[name.i + name.length];
+  const nextB = b[name.j + name.length];
+  if (isNumber(nextA) && isNumber(nextB) && nextA !== nextB) return false;
+  const rest = (tokens, start) => tokens
+    .filter((token, index) => index < start || index >= start + name.length)
+    .map(token => SYNONYMS[token] || token);
+  const restB = new Set(rest(b, name.j));
+  return rest(a, name.i).some(token => restB.has(token));
+};
+
+// Compares two items carrying `titleTokens` and `entities`
+const compareTitles = (a, b) => {
+  const tokensA = a.titleTokens || [];
+  const tokensB = b.titleTokens || [];
+  const score = jaccard(tokensA, tokensB);
+  const setB = new Set(b.entities || []);
+  const sharedEntities = (a.entities || []).filter(entity => setB.has(entity)).length;
+  const match = (score >= 0.5 ||
+    (score >= 0.4 && sharedEntities >= 1) ||
+    (score >= 0.25 && sharedEntities >= 2) ||
+    sharedEntities >= 3) && sameStory(tokensA, tokensB);
+  return { score, sharedEntities, match };
+};
+
+module.exports = { tokenize, extractEntities, compareTitles };
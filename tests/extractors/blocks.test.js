@@ -0,0 +1,47 @@
+const { defaultExtractor } = require('../../src/extractors');
+const { loadArticleFixture } = require('../helpers/fixtures');
+
+const LINK = 'https://blog.example.com/news/rich-content';
+
+describe('content blocks', () => {
+  const blocks = defaultExtractor.extractBlocks(loadArticleFixture('rich'), LINK);
+
+  it('walks nested containers once and keeps document order', () => {
+    expect(blocks.map(block => block.type)).toEqual(['paragraph', 'image', 'quote', 'video', 'heading', 'list']);
+  });
+
+  it('sanitizes paragraph markup and resolves links', () => {
+    expect(blocks[0].html).toBe('Intro with <strong>bold</strong>, <a>a bad link</a> and <a href="https://blog.example.com/reviews/hades-2">a relative one</a>.');
+    expect(blocks[0].text).toBe('Intro with bold, a bad link and a relative one.');
+  });
+
+  it('turns image-only paragraphs into image blocks', () => {
+    expect(blocks[1]).toEqual({ type: 'image', src: 'https://blog.example.com/img/inline.png', alt: 'Inline screenshot', caption: null });
+  });
+
+  it('separates quote text from its attribution', () => {
+    expect(blocks[2]).toEqual({ type: 'quote', text: 'Hades II is out now!', cite: 'Supergiant Games', url: 'https://twitter.com/supergiantgames/status/1' });
+  });
+
+  it('keeps native videos and drops unknown iframes', () => {
+    expect(blocks[3]).toEqual({ type: 'video', provider: 'file', id: null, url: 'https://blog.example.com/media/trailer.mp4', embedUrl: null, caption: 'Launch trailer' });
+    expect(JSON.stringify(blocks)).not.toContain('ads.example.net');
+  });
+
+  it('strips attributes from block markup', () => {
+    expect(blocks[4]).toEqual({ type: 'heading', level: 4, text: 'Minor heading', html: '<h4>Minor heading</h4>' });
+    expect(blocks[5]).toEqual({
+      type: 'list',
+      ordered: true,
+      items: ['First step', 'Second step'],
+      html: '<ol><li>First <em>step</em></li><li>Second step</li></ol>'
+    });
+  });
+
+  it('leaves media, quotes and minor headings out of the legacy content parts', () => {
+    expect(defaultExtractor.extract(loadArticleFixture('rich'), LINK)).toEqual([
+      { type: 'text', content: 'Intro with bold, a bad link and a relative one.' },
+      { type: 'html', content: '<ol><li>First <em>step</em></li><li>Second step</li></ol>' }
+    ]);
+  });
+});
@@ -0,0 +1,23 @@
+const { getExtractor, defaultExtractor, extractors } = require('../../src/extractors');
+const { loadArticleFixture } = require('../helpers/fixtures');
+
+describe('default extractor', () => {
+  const html = loadArticleFixture('default');
+
+  it('is used for unregistered sites', () => {
+    expect(getExtractor('https://blog.example.com/indie-spotlight')).toBe(defaultExtractor);
+    expect(getExtractor('not a url')).toBe(defaultExtractor);
+  });
+
+  it('extracts generic article markup and drops affiliate and live blog noise', () => {
+    expect(defaultExtractor.extract(html)).toEqual([
+      { type: 'text', content: 'This week we look at three upcoming indie games.' },
+      { type: 'html', content: '<h2>Hades II</h2>' },
+      { type: 'text', content: "Supergiant's sequel is out of early access." }
+    ]);
+  });
+
+  it('falls back to generic selectors when a site selector matches nothing', () => {
+    expect(extractors.ign.extract(html)).toEqual(defaultExtractor.extract(html));
+  });
+});
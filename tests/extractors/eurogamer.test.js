@@ -0,0 +1,41 @@
+const { getExtractor } = require('../../src/extractors');
+const { loadArticleFixture, matchesOwnSelector } = require('../helpers/fixtures');
+
+const LINK = 'https://www.eurogamer.net/clair-obscur-expedition-33-review';
+
+describe('Eurogamer extractor', () => {
+  const extractor = getExtractor(LINK);
+  const html = loadArticleFixture('eurogamer');
+
+  it('is selected for the site domain', () => {
+    expect(extractor.id).toBe('eurogamer');
+  });
+
+  it('matches the fixture with its own selector', () => {
+    expect(matchesOwnSelector(extractor, html)).toBe(true);
+  });
+
+  it('extracts paragraphs and block elements in order', () => {
+    expect(extractor.extract(html)).toEqual([
+      { type: 'text', content: 'Clair Obscur is a turn-based RPG with real-time reactions.' },
+      { type: 'html', content: '<h2>A different kind of turn-based combat</h2>' },
+      { type: 'text', content: 'Dodging and parrying keeps every fight tense.' }
+    ]);
+  });
+
+  it('drops figures and asides', () => {
+    const text = extractor.extract(html).map(part => part.content).join('\n');
+    expect(text).not.toContain('Gustave and Maelle');
+    expect(text).not.toContain('verdict policy');
+  });
+
+  it('emits figures as image blocks with lazy-loaded absolute sources', () => {
+    const image = extractor.extractBlocks(html, LINK).find(block => block.type === 'image');
+    expect(image).toEqual({
+      type: 'image',
+      src: 'https://www.eurogamer.net/images/clair.jpg',
+      alt: 'Clair Obscur combat',
+      caption: 'Gustave and Maelle.'
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const { getExtractor } = require('../../src/extractors');
+const { loadArticleFixture, matchesOwnSelector } = require('../helpers/fixtures');
+
+const LINK = 'https://gamerant.com/switch-2-launch-games/';
+
+describe('Game Rant extractor', () => {
+  const extractor = getExtractor(LINK);
+  const html = loadArticleFixture('gamerant');
+
+  it('is selected for the site domain', () => {
+    expect(extractor.id).toBe('gamerant');
+  });
+
+  it('matches the fixture with its own selector', () => {
+    expect(matchesOwnSelector(extractor, html)).toBe(true);
+  });
+
+  it('extracts paragraphs and block elements in order', () => {
+    expect(extractor.extract(html)).toEqual([
+      { type: 'text', content: 'Nintendo has confirmed the first wave of Switch 2 launch titles.' },
+      { type: 'html', content: '<h2>Launch Lineup</h2>' },
+      { type: 'html', content: '<ol><li>Mario Kart World</li><li>Donkey Kong Bananza</li></ol>' },
+      { type: 'text', content: 'More titles are expected before launch.' }
+    ]);
+  });
+});
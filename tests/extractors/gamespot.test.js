@@ -0,0 +1,50 @@
+const { getExtractor } = require('../../src/extractors');
+const { loadArticleFixture, matchesOwnSelector } = require('../helpers/fixtures');
+
+const LINK = 'https://www.gamespot.com/reviews/hollow-knight-silksong-review/1900-6418000/';
+
+describe('GameSpot extractor', () => {
+  const extractor = getExtractor(LINK);
+  const html = loadArticleFixture('gamespot');
+
+  it('is selected for the site domain', () => {
+    expect(extractor.id).toBe('gamespot');
+  });
+
+  it('matches the fixture with its own selector', () => {
+    expect(matchesOwnSelector(extractor, html)).toBe(true);
+  });
+
+  it('extracts paragraphs and block elements in order', () => {
+    expect(extractor.extract(html)).toEqual([
+      { type: 'text', content: 'Silksong is a sequel that was worth the wait.' },
+      { type: 'html', content: '<h3>The Good</h3>' },
+      { type: 'html', content: '<ul><li>Gorgeous hand-drawn art</li><li>Tight, demanding combat</li></ul>' },
+      { type: 'text', content: 'Hornet moves faster than the Knight ever did.' },
+      { type: 'html', content: '<table><tbody><tr><th>Platform</th><th>Price</th></tr><tr><td>PC</td><td>$20</td></tr></tbody></table>' }
+    ]);
+  });
+
+  it('drops ad paragraphs', () => {
+    const text = extractor.extract(html).map(part => part.content).join('\n');
+    expect(text).not.toContain('Sponsored content');
+  });
+
+  it('emits the review score box with pros and cons', () => {
+    const review = extractor.extractBlocks(html, LINK).find(block => block.type === 'review');
+    expect(review).toEqual({
+      type: 'review',
+      score: 9,
+      scale: 10,
+      verdict: 'Superb',
+      pros: ['Gorgeous hand-drawn art', 'Tight, demanding combat'],
+      cons: ['Some bosses drag on']
+    });
+  });
+
+  it('emits tables with header and rows', () => {
+    const table = extractor.extractBlocks(html, LINK).find(block => block.type === 'table');
+    expect(table.header).toEqual(['Platform', 'Price']);
+    expect(table.rows).toEqual([['PC', '$20']]);
+  });
+});
@@ -0,0 +1,49 @@
+const { getExtractor } = require('../../src/extractors');
+const { loadArticleFixture, matchesOwnSelector } = require('../helpers/fixtures');
+
+const LINK = 'https://www.ign.com/articles/elden-ring-nightreign-release-date';
+
+describe('IGN extractor', () => {
+  const extractor = getExtractor(LINK);
+  const html = loadArticleFixture('ign');
+
+  it('is selected for the site domain', () => {
+    expect(extractor.id).toBe('ign');
+  });
+
+  it('matches the fixture with its own selector', () => {
+    expect(matchesOwnSelector(extractor, html)).toBe(true);
+  });
+
+  it('extracts paragraphs and block elements in order', () => {
+    expect(extractor.extract(html)).toEqual([
+      { type: 'text', content: 'FromSoftware has announced that Elden Ring Nightreign will launch on May 30.\n\nThe co-op spin-off supports up to three players.' },
+      { type: 'html', content: '<h2>What We Know So Far</h2>' },
+      { type: 'html', content: '<ul><li>Three-player co-op</li><li>New playable Nightfarers</li></ul>' },
+      { type: 'text', content: 'Pre-orders open later this week.' }
+    ]);
+  });
+
+  it('drops advertisement paragraphs and asides', () => {
+    const text = extractor.extract(html).map(part => part.content).join('\n');
+    expect(text).not.toContain('Advertisement');
+    expect(text).not.toContain('Related: Elden Ring review');
+  });
+
+  it('emits video embeds and absolute, sanitized links as blocks', () => {
+    const blocks = extractor.extractBlocks(html, LINK);
+    expect(blocks[0]).toEqual({
+      type: 'paragraph',
+      text: 'FromSoftware has announced that Elden Ring Nightreign will launch on May 30.',
+      html: 'FromSoftware has announced that <a href="https://www.ign.com/games/elden-ring-nightreign">Elden Ring Nightreign</a> will launch on May 30.'
+    });
+    expect(blocks[1]).toEqual({
+      type: 'video',
+      provider: 'youtube',
+      id: 'dQw4w9WgXcQ',
+      url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      embedUrl: 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ',
+      caption: 'Elden Ring Nightreign gameplay trailer'
+    });
+  });
+});
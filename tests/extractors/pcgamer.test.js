@@ -0,0 +1,43 @@
+const { getExtractor } = require('../../src/extractors');
+const { loadArticleFixture, matchesOwnSelector } = require('../helpers/fixtures');
+
+const LINK = 'https://www.pcgamer.com/games/steam-next-fest-dates/';
+
+describe('PC Gamer extractor', () => {
+  const extractor = getExtractor(LINK);
+  const html = loadArticleFixture('pcgamer');
+
+  it('is selected for the site domain', () => {
+    expect(extractor.id).toBe('pcgamer');
+  });
+
+  it('matches the fixture with its own selector', () => {
+    expect(matchesOwnSelector(extractor, html)).toBe(true);
+  });
+
+  it('extracts paragraphs and block elements in order', () => {
+    expect(extractor.extract(html)).toEqual([
+      { type: 'text', content: 'Valve has announced the dates for the next Steam Next Fest.' },
+      { type: 'html', content: '<h2>When is the next Steam Next Fest?</h2>' },
+      { type: 'text', content: 'The event runs from June 9 to June 16.' }
+    ]);
+  });
+
+  it('drops newsletter, author bio and comment prompts', () => {
+    const text = extractor.extract(html).map(part => part.content).join('\n');
+    expect(text).not.toContain('The biggest gaming news');
+    expect(text).not.toContain('Jane Doe is a news writer');
+    expect(text).not.toContain('Jane has been writing');
+    expect(text).not.toContain('public display name');
+  });
+
+  it('skips headings that only wrap links', () => {
+    const text = extractor.extract(html).map(part => part.content).join('\n');
+    expect(text).not.toContain('Related articles');
+  });
+
+  it('emits the verdict box on the 100 point scale', () => {
+    const review = extractor.extractBlocks(html, LINK).find(block => block.type === 'review');
+    expect(review).toMatchObject({ score: 88, scale: 100, verdict: 'A festival worth clearing your calendar for.' });
+  });
+});
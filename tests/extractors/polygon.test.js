@@ -0,0 +1,30 @@
+const { getExtractor } = require('../../src/extractors');
+const { loadArticleFixture, matchesOwnSelector } = require('../helpers/fixtures');
+
+const LINK = 'https://www.polygon.com/best-games-2025';
+
+describe('Polygon extractor', () => {
+  const extractor = getExtractor(LINK);
+  const html = loadArticleFixture('polygon');
+
+  it('is selected for the site domain', () => {
+    expect(extractor.id).toBe('polygon');
+  });
+
+  it('matches the fixture with its own selector', () => {
+    expect(matchesOwnSelector(extractor, html)).toBe(true);
+  });
+
+  it('extracts paragraphs and block elements in order', () => {
+    expect(extractor.extract(html)).toEqual([
+      { type: 'text', content: 'It has been a strong year for games.' },
+      { type: 'html', content: '<h3>Blue Prince</h3>' },
+      { type: 'text', content: 'A puzzle game about a mansion that rearranges itself.\n\nMore picks will be added throughout the year.' }
+    ]);
+  });
+
+  it('drops sponsored paragraphs', () => {
+    const text = extractor.extract(html).map(part => part.content).join('\n');
+    expect(text).not.toContain('Sponsored: buy a console bundle');
+  });
+});
@@ -0,0 +1,31 @@
+const { getExtractor } = require('../../src/extractors');
+const { loadArticleFixture, matchesOwnSelector } = require('../helpers/fixtures');
+
+const LINK = 'https://www.thegamer.com/baldurs-gate-3-patch-8-notes/';
+
+describe('TheGamer extractor', () => {
+  const extractor = getExtractor(LINK);
+  const html = loadArticleFixture('thegamer');
+
+  it('is selected for the site domain', () => {
+    expect(extractor.id).toBe('thegamer');
+  });
+
+  it('matches the fixture with its own selector', () => {
+    expect(matchesOwnSelector(extractor, html)).toBe(true);
+  });
+
+  it('extracts paragraphs and block elements in order', () => {
+    expect(extractor.extract(html)).toEqual([
+      { type: 'text', content: "Larian has released Patch 8 for Baldur's Gate 3." },
+      { type: 'html', content: '<h2>Patch Highlights</h2>' },
+      { type: 'html', content: '<ul><li>Twelve new subclasses</li><li>Photo mode</li></ul>' },
+      { type: 'text', content: 'The patch is available on all platforms.' }
+    ]);
+  });
+
+  it('drops ads and display cards', () => {
+    const text = extractor.extract(html).map(part => part.content).join('\n');
+    expect(text).not.toContain('Advertisement');
+  });
+});
@@ -0,0 +1,2 @@
+// Loaded before every test file (jest setupFiles in package.json)
+process.env.RATE_LIMIT_STORE = 'memory';
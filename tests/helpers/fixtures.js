@@ -0,0 +1,10 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+const loadArticleFixture = name => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'articles', `${name}.html`), 'utf8');
+
+// A redesign usually shows up first as the site selector no longer matching
+const matchesOwnSelector = (extractor, html) => cheerio.load(html)(extractor.contentSelector).length > 0;
+
+module.exports = { loadArticleFixture, matchesOwnSelector };
@@ -0,0 +1,107 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.CRON_SECRET = 'test-cron-secret';
+
+const express = require('express');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const newsController = require('../../src/controllers/newsController');
+const apiKeyService = require('../../src/services/apiKeyService');
+const ApiKey = require('../../src/models/apiKey');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1', routes);
+app.use(errorHandler);
+
+afterEach(() => jest.restoreAllMocks());
+
+const storedKey = (scopes, fields) => ({ _id: '6710f0c2a1b2c3d4e5f60001', name: 'client', prefix: 'gn_abcdefg', scopes, ...fields });
+const findsKey = key => jest.spyOn(ApiKey, 'findOne').mockReturnValue({ lean: () => ({ exec: async () => key }) });
+
+describe('POST /news/fetch', () => {
+  beforeEach(() => {
+    jest.spyOn(newsController, 'fetchNews').mockResolvedValue({ fetched: 0 });
+    jest.spyOn(ApiKey, 'updateOne').mockReturnValue({ exec: async () => ({}) });
+  });
+
+  it('requires an API key', async () => {
+    const res = await request(app).post('/api/v1/news/fetch');
+    expect(res.status).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+    expect(res.body.error.message).toBe('A valid API key is required');
+    expect(newsController.fetchNews).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown and expired keys', async () => {
+    findsKey(null);
+    expect((await request(app).post('/api/v1/news/fetch').set('X-API-Key', 'gn_unknown')).status).toBe(401);
+    findsKey(storedKey(['ingest'], { expiresAt: new Date(Date.now() - 1000) }));
+    expect((await request(app).post('/api/v1/news/fetch').set('X-API-Key', 'gn_expired')).status).toBe(401);
+  });
+
+  it('answers 403 to keys without the ingest scope', async () => {
+    findsKey(storedKey(['read']));
+    const res = await request(app).post('/api/v1/news/fetch').set('Authorization', 'Bearer gn_reader');
+    expect(res.status).toBe(403);
+    expect(res.body.error.message).toBe('API key lacks the ingest scope');
+  });
+
+  it('runs with an ingest key looked up by its hash', async () => {
+    const findOne = findsKey(storedKey(['ingest']));
+    const res = await request(app).post('/api/v1/news/fetch').set('Authorization', 'Bearer gn_ingester');
+    expect(res.status).toBe(200);
+    expect(findOne).toHaveBeenCalledWith({ hash: apiKeyService.hashKey('gn_ingester'), revokedAt: null });
+  });
+
+  it('accepts the cron secret on GET, as sent by Vercel Cron', async () => {
+    const res = await request(app).get('/api/v1/news/fetch').set('Authorization', 'Bearer test-cron-secret');
+    expect(res.status).toBe(200);
+    expect(newsController.fetchNews).toHaveBeenCalled();
+  });
+
+  it('does not let the cron secret reach admin routes', async () => {
+    const res = await request(app).post('/api/v1/news/retention').set('Authorization', 'Bearer test-cron-secret');
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('/keys', () => {
+  it('is reserved to admin keys', async () => {
+    findsKey(storedKey(['read', 'ingest']));
+    jest.spyOn(ApiKey, 'updateOne').mockReturnValue({ exec: async () => ({}) });
+    expect((await request(app).get('/api/v1/keys')).status).toBe(401);
+    expect((await request(app).get('/api/v1/keys').set('X-API-Key', 'gn_other')).status).toBe(403);
+  });
+
+  it('returns a new key once and stores its hash', async () => {
+    const create = jest.spyOn(ApiKey, 'create').mockImplementation(async fields => ({ toObject: () => ({ _id: 'k1', ...fields }) }));
+    const res = await request(app).post('/api/v1/keys')
+      .set('Authorization', 'Bearer test-admin-key')
+      .send({ name: 'dashboard', scopes: ['read', 'ingest'] });
+    expect(res.status).toBe(201);
+    const { key, hash, prefix, scopes } = res.body.data;
+    expect(key).toMatch(/^gn_[\w-]{32}$/);
+    expect(hash).toBeUndefined();
+    expect(prefix).toBe(key.slice(0, 10));
+    expect(scopes).toEqual(['read', 'ingest']);
+    expect(create.mock.calls[0][0].hash).toBe(apiKeyService.hashKey(key));
+  });
+
+  it('validates scopes', async () => {
+    const res = await request(app).post('/api/v1/keys')
+      .set('Authorization', 'Bearer test-admin-key')
+      .send({ name: 'dashboard', scopes: ['superuser'] });
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0].path).toBe('scopes');
+  });
+
+  it('revokes keys', async () => {
+    const revoke = jest.spyOn(apiKeyService, 'revoke').mockResolvedValue(storedKey(['read'], { revokedAt: new Date() }));
+    const res = await request(app).delete('/api/v1/keys/6710f0c2a1b2c3d4e5f60001').set('Authorization', 'Bearer test-admin-key');
+    expect(res.status).toBe(200);
+    expect(revoke).toHaveBeenCalledWith('6710f0c2a1b2c3d4e5f60001');
+    expect(res.body.data.revokedAt).toBeDefined();
+  });
+});
@@ -0,0 +1,108 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.IGN_NEWS_FEED = 'https://feeds.ign.com/ign/news';
+
+const express = require('express');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const cacheService = require('../../src/services/cacheService');
+const reviewService = require('../../src/services/reviewService');
+const { LruStore } = require('../../src/utils/cacheStore');
+const { parser } = require('../../src/utils/feedParser');
+
+const app = express();
+app.use('/api/v1', routes);
+app.use(errorHandler);
+
+const admin = { Authorization: 'Bearer test-admin-key' };
+
+beforeEach(() => {
+  cacheService.store = new LruStore();
+  cacheService.resetStats();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const feedItem = title => ({ title, link: `https://www.ign.com/articles/${title}`, contentSnippet: 'Snippet', pubDate: '2026-10-19T10:00:00Z' });
+
+describe('cacheService.wrap', () => {
+  it('loads once and serves hits until invalidated', async () => {
+    const load = jest.fn().mockResolvedValue('value');
+    expect(await cacheService.wrap('news:latest:1', load, { tags: ['news:latest'] })).toBe('value');
+    expect(await cacheService.wrap('news:latest:1', load, { tags: ['news:latest'] })).toBe('value');
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(await cacheService.invalidate(['news:*'])).toBe(1);
+    await cacheService.wrap('news:latest:1', load, { tags: ['news:latest'] });
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  it('serves stale entries while refreshing them', async () => {
+    await cacheService.store.set('feeds:ign:news', { value: 'old', tags: [], freshUntil: Date.now() - 1, expiresAt: Date.now() + 60000 });
+    let resolve;
+    const load = jest.fn(() => new Promise(done => { resolve = done; }));
+    expect(await cacheService.wrap('feeds:ign:news', load)).toBe('old');
+    expect(await cacheService.wrap('feeds:ign:news', load)).toBe('old');
+    expect(load).toHaveBeenCalledTimes(1);
+    resolve('new');
+    await new Promise(setImmediate);
+    expect(await cacheService.wrap('feeds:ign:news', load)).toBe('new');
+    expect((await cacheService.getStats()).areas.feeds).toEqual({ hits: 1, stale: 2, misses: 0, errors: 0 });
+  });
+
+  it('does not store loads that an invalidation overtook', async () => {
+    let resolve;
+    const pending = cacheService.wrap('games:top:1', () => new Promise(done => { resolve = done; }), { tags: ['games:top'] });
+    await new Promise(setImmediate);
+    await cacheService.invalidate(['games:*']);
+    resolve('before');
+    expect(await pending).toBe('before');
+    expect(await cacheService.store.get('games:top:1')).toBeUndefined();
+  });
+
+  it('loads without caching when the backend fails', async () => {
+    cacheService.store.get = async () => { throw new Error('backend down'); };
+    expect(await cacheService.wrap('news:sources:US', async () => 'value')).toBe('value');
+    expect((await cacheService.getStats()).errors).toBe(1);
+  });
+});
+
+describe('cached routes', () => {
+  it('caches live source feeds and filters them per request', async () => {
+    const parseURL = jest.spyOn(parser, 'parseURL').mockResolvedValue({ items: [feedItem('first'), feedItem('second')] });
+    const all = await request(app).get('/api/v1/feeds/ign');
+    const filtered = await request(app).get('/api/v1/feeds/ign?q=second');
+    expect(all.body.data).toHaveLength(2);
+    expect(filtered.body.data.map(item => item.title)).toEqual(['second']);
+    expect(parseURL).toHaveBeenCalledTimes(1);
+  });
+
+  it('caches top games under the games:top tag', async () => {
+    const getTopGames = jest.spyOn(reviewService, 'getTopGames').mockResolvedValue({ games: [], total: 0 });
+    await request(app).get('/api/v1/games/top');
+    await request(app).get('/api/v1/games/top');
+    expect(getTopGames).toHaveBeenCalledTimes(1);
+    await cacheService.invalidate(['news:*']);
+    await request(app).get('/api/v1/games/top');
+    expect(getTopGames).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('/cache', () => {
+  it('reports hit and miss counts to admins', async () => {
+    expect((await request(app).get('/api/v1/cache')).status).toBe(401);
+    await cacheService.wrap('games:top:1', async () => 1);
+    await cacheService.wrap('games:top:1', async () => 1);
+    const res = await request(app).get('/api/v1/cache').set(admin);
+    expect(res.body.data).toMatchObject({ backend: 'memory', size: 1, hits: 1, misses: 1, hitRate: 0.5, areas: { games: { hits: 1, misses: 1 } } });
+  });
+
+  it('invalidates tags', async () => {
+    await cacheService.wrap('news:latest:1', async () => 1, { tags: ['news:latest'] });
+    await cacheService.wrap('games:top:1', async () => 1, { tags: ['games:top'] });
+    const res = await request(app).delete('/api/v1/cache?tag=news:*').set(admin);
+    expect(res.body.data).toEqual({ tags: ['news:*'], invalidated: 1 });
+    expect(await cacheService.store.size()).toBe(1);
+    expect((await request(app).delete('/api/v1/cache?tag=news*').set(admin)).status).toBe(400);
+  });
+});
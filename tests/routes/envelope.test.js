@@ -0,0 +1,74 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+// Same mounting as server.js, without the database and the schedulers
+const app = express();
+app.use('/api/v1', routes);
+app.use('/api', (req, res, next) => {
+  res.set('Deprecation', 'true');
+  next();
+}, routes);
+app.use(errorHandler);
+
+describe('response envelope', () => {
+  it('reports validation errors with details', async () => {
+    const res = await request(app).get('/api/v1/news/latest?limit=0');
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      success: false,
+      error: { message: 'Invalid request', code: 400, details: [expect.objectContaining({ path: 'limit' })] }
+    });
+  });
+
+  it.each(['/api/v1/news/latest', '/api/v1/news/search?q=zelda', '/api/v1/games/top'])('caps the page size of %s', async path => {
+    const res = await request(app).get(`${path}${path.includes('?') ? '&' : '?'}limit=1000000`);
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0]).toMatchObject({ path: 'limit', msg: 'Limit must be between 1 and 100' });
+  });
+
+  it('answers unknown API routes with a 404 envelope', async () => {
+    const res = await request(app).get('/api/v1/unknown');
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, error: { message: 'Route not found: GET /api/v1/unknown', code: 404 } });
+  });
+
+  it('reports ApiErrors of controllers', async () => {
+    const res = await request(app).get('/api/v1/feeds/unknown');
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, error: { message: 'Unknown source: unknown', code: 404 } });
+  });
+
+  it('lists the known platforms for an unknown one', async () => {
+    const res = await request(app).get('/api/v1/news/latest?platform=pc,dreamcast');
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0].msg).toBe('Unknown platform, expected one of: playstation, xbox, switch, pc, mobile');
+  });
+
+  it('requires the article link through validation', async () => {
+    const res = await request(app).get('/api/v1/news/article');
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0].path).toBe('link');
+  });
+});
+
+describe('versioned routing', () => {
+  it.each(['/api/v1/news/search', '/api/news/search'])('serves %s', async path => {
+    const res = await request(app).get(path);
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('marks unversioned aliases as deprecated', async () => {
+    expect((await request(app).get('/api/news/search')).headers.deprecation).toBe('true');
+    expect((await request(app).get('/api/v1/news/search')).headers.deprecation).toBeUndefined();
+  });
+
+  it('mounts the games and feeds routers', async () => {
+    expect((await request(app).get('/api/v1/games/top?page=0')).status).toBe(400);
+    expect((await request(app).get('/api/v1/feeds/ign?limit=x')).status).toBe(400);
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/services/reviewService', () => ({ getGame: jest.fn(), findGame: jest.fn(), getTopGames: jest.fn() }));
+jest.mock('../../src/services/gameLinkService', () => ({ getNews: jest.fn(), relink: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const reviewService = require('../../src/services/reviewService');
+const gameLinkService = require('../../src/services/gameLinkService');
+
+const app = express();
+app.use('/api/v1', routes);
+app.use(errorHandler);
+
+describe('GET /games/:id', () => {
+  it('serves the game with its reviews and news', async () => {
+    const game = { _id: '6710f0c2a1b2c3d4e5f60718', slug: 'astro-bot', title: 'Astro Bot', score: 9, reviews: [], news: [] };
+    reviewService.getGame.mockResolvedValue({ game });
+    const res = await request(app).get('/api/v1/games/astro-bot');
+    expect(reviewService.getGame).toHaveBeenCalledWith('astro-bot', { region: 'other' });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, data: game });
+  });
+
+  it('redirects former slugs permanently', async () => {
+    reviewService.getGame.mockResolvedValue({ redirect: 'final-fantasy-vii-rebirth' });
+    const res = await request(app).get('/api/v1/games/final-fantasy-7-rebirth');
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/v1/games/final-fantasy-vii-rebirth');
+  });
+
+  it('answers unknown ids with 404', async () => {
+    reviewService.getGame.mockResolvedValue(null);
+    const res = await request(app).get('/api/v1/games/a');
+    expect(res.status).toBe(404);
+    expect(res.body.error).toEqual({ message: 'Game not found', code: 404 });
+  });
+});
+
+describe('GET /games/:id/news', () => {
+  const game = { _id: '6710f0c2a1b2c3d4e5f60718', slug: 'hollow-knight-silksong', title: 'Hollow Knight: Silksong' };
+
+  it('paginates the linked news', async () => {
+    reviewService.findGame.mockResolvedValue({ game, renamed: false });
+    gameLinkService.getNews.mockResolvedValue({ news: [{ title: 'Silksong is out' }], total: 3 });
+    const res = await request(app).get('/api/v1/games/hollow-knight-silksong/news?page=2&limit=1');
+    expect(gameLinkService.getNews).toHaveBeenCalledWith(game._id, { page: 2, limit: 1, region: 'other' });
+    expect(res.body.data).toEqual([{ title: 'Silksong is out' }]);
+    expect(res.body.pagination).toMatchObject({ current: 2, limit: 1, total: 3, hasMore: true });
+    expect(res.body.meta.game).toEqual(game);
+  });
+
+  it('redirects former slugs keeping the query', async () => {
+    reviewService.findGame.mockResolvedValue({ game, renamed: true });
+    const res = await request(app).get('/api/v1/games/silksong/news?page=2');
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/v1/games/hollow-knight-silksong/news?page=2');
+  });
+});
+
+describe('game filter', () => {
+  it('rejects unknown games', async () => {
+    reviewService.findGame.mockResolvedValue(null);
+    const res = await request(app).get('/api/v1/news/latest?game=unknown');
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0]).toMatchObject({ path: 'game', msg: 'Unknown game' });
+  });
+});
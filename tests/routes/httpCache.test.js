@@ -0,0 +1,93 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.IGN_NEWS_FEED = 'https://feeds.ign.com/ign/news';
+process.env.POLYGON_FEED = 'https://www.polygon.com/rss/index.xml';
+process.env.HTTP_CACHE_TOP_GAMES = 'public, max-age=10';
+
+const express = require('express');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const cacheService = require('../../src/services/cacheService');
+const reviewService = require('../../src/services/reviewService');
+const gameLinkService = require('../../src/services/gameLinkService');
+const { LruStore } = require('../../src/utils/cacheStore');
+const { parser } = require('../../src/utils/feedParser');
+
+const app = express();
+// Lets tests pick the client region with X-Forwarded-For
+app.set('trust proxy', true);
+app.use('/api/v1', routes);
+app.use(errorHandler);
+
+beforeEach(() => {
+  cacheService.store = new LruStore();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const feedItem = (title, pubDate) => ({ title, link: `https://www.ign.com/articles/${title}`, contentSnippet: 'Snippet', pubDate });
+
+describe('conditional GET', () => {
+  beforeEach(() => {
+    jest.spyOn(parser, 'parseURL').mockResolvedValue({
+      items: [feedItem('older', '2026-10-18T08:00:00Z'), feedItem('newer', '2026-10-19T09:30:00Z')]
+    });
+  });
+
+  it('sends Cache-Control, an ETag and Last-Modified from the newest pubDate', async () => {
+    const res = await request(app).get('/api/v1/feeds/ign');
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('public, max-age=120, s-maxage=120, stale-while-revalidate=600');
+    expect(res.headers.etag).toBeDefined();
+    expect(res.headers['last-modified']).toBe('Mon, 19 Oct 2026 09:30:00 GMT');
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const first = await request(app).get('/api/v1/feeds/ign');
+    const res = await request(app).get('/api/v1/feeds/ign').set('If-None-Match', first.headers.etag);
+    expect(res.status).toBe(304);
+    expect(res.text).toBe('');
+    expect(res.headers['cache-control']).toBe(first.headers['cache-control']);
+    const other = await request(app).get('/api/v1/feeds/ign?q=older').set('If-None-Match', first.headers.etag);
+    expect(other.status).toBe(200);
+  });
+
+  it('answers If-Modified-Since with 304 unless newer items exist', async () => {
+    const notModified = await request(app).get('/api/v1/feeds/ign').set('If-Modified-Since', 'Mon, 19 Oct 2026 09:30:00 GMT');
+    expect(notModified.status).toBe(304);
+    const modified = await request(app).get('/api/v1/feeds/ign').set('If-Modified-Since', 'Mon, 19 Oct 2026 09:00:00 GMT');
+    expect(modified.status).toBe(200);
+  });
+});
+
+describe('Cache-Control policies', () => {
+  it('reads policies from the environment', async () => {
+    jest.spyOn(reviewService, 'getTopGames').mockResolvedValue({ games: [], total: 0 });
+    const res = await request(app).get('/api/v1/games/top');
+    expect(res.headers['cache-control']).toBe('public, max-age=10');
+    expect(res.headers['last-modified']).toBeUndefined();
+  });
+
+  it('keeps region-dependent responses out of shared caches', async () => {
+    jest.spyOn(reviewService, 'findGame').mockResolvedValue({ game: { _id: '6710f0c2a1b2c3d4e5f60718', slug: 'astro-bot' }, renamed: false });
+    jest.spyOn(gameLinkService, 'getNews').mockResolvedValue({ news: [], total: 0 });
+    const gameNews = await request(app).get('/api/v1/games/astro-bot/news');
+    expect(gameNews.headers['cache-control']).toBe('private, max-age=300, stale-while-revalidate=600');
+    jest.spyOn(parser, 'parseURL').mockResolvedValue({ items: [feedItem('story', '2026-10-19T09:30:00Z')] });
+    const regional = await request(app).get('/api/v1/feeds/polygon').set('X-Forwarded-For', '85.214.132.117');
+    expect(regional.status).toBe(200);
+    expect(regional.headers['cache-control']).toBe('private, max-age=120, stale-while-revalidate=600');
+  });
+
+  it('does not cache errors', async () => {
+    const res = await request(app).get('/api/v1/feeds/unknown');
+    expect(res.status).toBe(404);
+    expect(res.headers['cache-control']).toBe('no-store');
+  });
+
+  it('keeps admin responses out of shared caches', async () => {
+    const res = await request(app).get('/api/v1/cache').set('Authorization', 'Bearer test-admin-key');
+    expect(res.headers['cache-control']).toBe('private, no-store');
+  });
+});
@@ -0,0 +1,143 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const News = require('../../src/models/news');
+const FeedStatus = require('../../src/models/feedStatus');
+const cacheService = require('../../src/services/cacheService');
+const { LruStore } = require('../../src/utils/cacheStore');
+const { encodeCursor } = require('../../src/utils/cursor');
+
+const app = express();
+app.use('/api/v1', routes);
+app.use(errorHandler);
+
+beforeEach(() => {
+  cacheService.store = new LruStore();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// Stands in for the chainable queries and aggregations of News
+const chain = result => {
+  const query = { exec: jest.fn().mockResolvedValue(result) };
+  for (const method of ['sort', 'skip', 'limit', 'select', 'lean']) query[method] = jest.fn(() => query);
+  return query;
+};
+
+const item = (id, source, cluster) => ({
+  _id: id.padStart(24, '0'),
+  title: `Story from ${source}`,
+  link: `https://example.com/${source}/${id}`,
+  pubDate: '2026-10-19T09:00:00.000Z',
+  source,
+  cluster,
+  isCanonical: false
+});
+
+describe('GET /news/latest?cursor=', () => {
+  it('continues after the cursor item, newest first', async () => {
+    const last = item('9', 'ign');
+    const find = jest.spyOn(News, 'find').mockReturnValue(chain([item('8', 'ign'), item('7', 'ign')]));
+    const res = await request(app).get(`/api/v1/news/latest?cursor=${encodeCursor(last)}&limit=1`);
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0].$or).toEqual([
+      { pubDate: { $lt: new Date(last.pubDate) } },
+      { pubDate: new Date(last.pubDate), _id: { $lt: last._id } }
+    ]);
+    expect(find.mock.results[0].value.sort).toHaveBeenCalledWith({ pubDate: -1, _id: -1 });
+    expect(find.mock.results[0].value.limit).toHaveBeenCalledWith(2);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.pagination).toEqual({ limit: 1, hasMore: true, nextCursor: encodeCursor(item('8', 'ign')) });
+  });
+
+  it('answers an invalid cursor with 400', async () => {
+    const find = jest.spyOn(News, 'find');
+    const res = await request(app).get('/api/v1/news/latest?cursor=not-a-cursor');
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0]).toMatchObject({ path: 'cursor', msg: 'Invalid cursor' });
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /news/latest?collapse=true', () => {
+  it('picks the representative among the items that pass the source filter', async () => {
+    const cluster = 'c'.repeat(24);
+    const aggregate = jest.spyOn(News, 'aggregate')
+      .mockReturnValueOnce(chain([item('1', 'ign', cluster)]))
+      .mockReturnValueOnce(chain([{ total: 1 }]));
+    const find = jest.spyOn(News, 'find').mockReturnValue(chain([]));
+    const res = await request(app).get('/api/v1/news/latest?source=ign&collapse=true');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([expect.objectContaining({ source: 'ign', related: [] })]);
+    expect(res.body.pagination).toMatchObject({ total: 1, hasMore: false });
+    const [pipeline] = aggregate.mock.calls[0];
+    expect(pipeline[0]).toEqual({ $match: { source: { $in: ['ign'] } } });
+    expect(pipeline[2].$group).toBeDefined();
+    expect(find.mock.calls[0][0]).toEqual({ cluster: { $in: [cluster] }, _id: { $nin: [item('1', 'ign')._id] }, source: { $in: ['ign'] } });
+  });
+});
+
+describe('GET /news/search', () => {
+  it('combines the text search with the filters and pages by relevance', async () => {
+    const find = jest.spyOn(News, 'find').mockReturnValue(chain([item('1', 'ign')]));
+    const count = jest.spyOn(News, 'countDocuments').mockResolvedValue(21);
+    const res = await request(app).get('/api/v1/news/search?q=%22silk%20song%22%20-delay&source=ign&category=soon&tags=trailer&page=3&limit=5');
+    expect(res.status).toBe(200);
+    const query = {
+      category: 'soon',
+      tags: { $all: ['trailer'] },
+      source: { $in: ['ign'] },
+      $text: { $search: '"silk song" -delay' }
+    };
+    expect(find).toHaveBeenCalledWith(query, { score: { $meta: 'textScore' } });
+    expect(count).toHaveBeenCalledWith(query);
+    const cursor = find.mock.results[0].value;
+    expect(cursor.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' }, pubDate: -1 });
+    expect(cursor.skip).toHaveBeenCalledWith(10);
+    expect(cursor.limit).toHaveBeenCalledWith(5);
+    expect(res.body.pagination).toMatchObject({ current: 3, limit: 5, total: 21, pages: 5, hasMore: true });
+  });
+
+  it('hides sources unavailable in the client region', async () => {
+    const find = jest.spyOn(News, 'find').mockReturnValue(chain([]));
+    jest.spyOn(News, 'countDocuments').mockResolvedValue(0);
+    await request(app).get('/api/v1/news/search?q=zelda');
+    expect(find.mock.calls[0][0]).toEqual({
+      source: { $nin: expect.arrayContaining(['polygon', 'gamerant', 'thegamer']) },
+      $text: { $search: 'zelda' }
+    });
+  });
+});
+
+describe('GET /news/latest-by-date', () => {
+  it('leaves out sources unavailable in the client region', async () => {
+    const find = jest.spyOn(News, 'find').mockReturnValue(chain([item('1', 'ign')]));
+    const res = await request(app).get('/api/v1/news/latest-by-date?date=2026-10-19');
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0]).toEqual({
+      pubDate: { $gte: expect.any(Date), $lte: expect.any(Date) },
+      source: { $nin: expect.arrayContaining(['polygon', 'gamerant', 'thegamer']) }
+    });
+  });
+
+  it('drops requested sources unavailable in the client region', async () => {
+    const find = jest.spyOn(News, 'find').mockReturnValue(chain([item('1', 'ign')]));
+    await request(app).get('/api/v1/news/latest-by-date?date=2026-10-19&sources=ign,polygon');
+    expect(find.mock.calls[0][0].source).toEqual({ $in: ['ign'] });
+  });
+});
+
+describe('GET /news/sources', () => {
+  it('reports when each source was last fetched successfully', async () => {
+    jest.spyOn(News, 'aggregate').mockResolvedValue([{ _id: 'ign', count: 12, latestPubDate: '2026-10-18T09:00:00.000Z' }]);
+    jest.spyOn(FeedStatus, 'aggregate').mockResolvedValue([{ _id: 'ign', lastSeenAt: '2026-10-19T09:00:00.000Z' }]);
+    const res = await request(app).get('/api/v1/news/sources');
+    expect(res.body.data.find(source => source.id === 'ign')).toEqual({
+      id: 'ign', name: 'IGN', count: 12, latestPubDate: '2026-10-18T09:00:00.000Z', lastSeenAt: '2026-10-19T09:00:00.000Z'
+    });
+    expect(res.body.data.find(source => source.id === 'kotaku')).toMatchObject({ count: 0, lastSeenAt: null });
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/config/rateLimits', () => ({
+  windowMs: 60000,
+  store: 'memory',
+  TIERS: ['anonymous', 'standard', 'premium', 'internal'],
+  KEY_TIERS: ['standard', 'premium'],
+  groups: [
+    { name: 'search', paths: ['/news/search'], limits: { anonymous: 2, standard: 4, premium: 8, internal: null } },
+    { name: 'default', paths: ['/'], limits: { anonymous: 3, standard: 6, premium: 12, internal: null } }
+  ]
+}));
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const express = require('express');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const rateLimitService = require('../../src/services/rateLimitService');
+const { MemoryStore } = require('../../src/utils/rateLimitStore');
+const ApiKey = require('../../src/models/apiKey');
+
+const app = express();
+app.use('/api/v1', routes);
+app.use(errorHandler);
+
+beforeEach(() => {
+  // Mid-window, so that no test crosses into the next one
+  jest.spyOn(Date, 'now').mockReturnValue(1700000010000);
+  rateLimitService.store = new MemoryStore();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const hit = (path, headers = {}) => request(app).get(path).set(headers);
+
+describe('rate limiting', () => {
+  it('reports the budget and answers 429 when it is used up', async () => {
+    const first = await hit('/api/v1/nowhere');
+    expect(first.status).toBe(404);
+    expect(first.headers['ratelimit-policy']).toBe('3;w=60');
+    expect(first.headers.ratelimit).toMatch(/^limit=3, remaining=2, reset=\d+$/);
+    await hit('/api/v1/nowhere');
+    await hit('/api/v1/nowhere');
+    const limited = await hit('/api/v1/nowhere');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toMatch(/^\d+$/);
+    expect(limited.body).toEqual({ success: false, error: { message: 'Too many requests', code: 429 } });
+  });
+
+  it('counts route groups apart', async () => {
+    await hit('/api/v1/news/search');
+    await hit('/api/v1/news/search');
+    expect((await hit('/api/v1/news/search')).status).toBe(429);
+    expect((await hit('/api/v1/nowhere')).headers.ratelimit).toMatch(/remaining=2/);
+  });
+
+  it('applies the tier of the API key', async () => {
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue({ lean: () => ({ exec: async () => ({ _id: 'k1', name: 'partner', scopes: ['read'], tier: 'premium' }) }) });
+    jest.spyOn(ApiKey, 'updateOne').mockReturnValue({ exec: async () => ({}) });
+    const res = await hit('/api/v1/news/search', { 'X-API-Key': 'gn_partner' });
+    expect(res.headers['ratelimit-policy']).toBe('8;w=60');
+    expect(ApiKey.findOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not limit internal keys', async () => {
+    const res = await hit('/api/v1/nowhere', { Authorization: 'Bearer test-admin-key' });
+    expect(res.headers.ratelimit).toBeUndefined();
+  });
+
+  it('lets requests through when the store fails', async () => {
+    rateLimitService.store.increment = async () => { throw new Error('store down'); };
+    expect((await hit('/api/v1/nowhere')).status).toBe(404);
+  });
+});
+
+describe('/rate-limits', () => {
+  const admin = { Authorization: 'Bearer test-admin-key' };
+
+  it('is reserved to admin keys', async () => {
+    expect((await hit('/api/v1/rate-limits')).status).toBe(401);
+  });
+
+  it('lists the counters of the current window', async () => {
+    await hit('/api/v1/news/search');
+    await hit('/api/v1/news/search');
+    await hit('/api/v1/nowhere');
+    const res = await hit('/api/v1/rate-limits', admin);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ windowMs: 60000, store: 'memory' });
+    expect(res.body.data.clients).toEqual([
+      expect.objectContaining({ client: expect.stringMatching(/^ip:.*127\.0\.0\.1$/), group: 'search', tier: 'anonymous', count: 2, limit: 2, remaining: 0, limited: false }),
+      expect.objectContaining({ group: 'default', count: 1, limit: 3, remaining: 2 })
+    ]);
+  });
+
+  it('resets a client', async () => {
+    await hit('/api/v1/news/search');
+    await hit('/api/v1/nowhere');
+    const { data } = (await hit('/api/v1/rate-limits', admin)).body;
+    const { client } = data.clients[0];
+    const res = await request(app).delete('/api/v1/rate-limits').query({ client }).set(admin);
+    expect(res.body.data).toEqual({ client, reset: 2 });
+    expect(await rateLimitService.store.entries()).toEqual([]);
+  });
+});
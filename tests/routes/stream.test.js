@@ -0,0 +1,101 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+process.env.STREAM_HEARTBEAT_MS = '50';
+
+const http = require('http');
+const express = require('express');
+const routes = require('../../src/routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const streamService = require('../../src/services/streamService');
+
+const app = express();
+app.use('/api/v1', routes);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+
+beforeAll(done => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(() => done());
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// Opens a stream and collects its body until `until` matches it
+const readStream = (path, headers, until, onOpen = () => {}) => new Promise((resolve, reject) => {
+  const req = http.get(`${baseUrl}${path}`, { headers }, res => {
+    let body = '';
+    onOpen(res);
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+      body += chunk;
+      if (until(body)) {
+        req.destroy();
+        resolve({ res, body });
+      }
+    });
+  });
+  req.on('error', error => (error.code === 'ECONNRESET' ? null : reject(error)));
+});
+
+const item = (id, fields) => ({ _id: id, title: `Item ${id}`, category: 'update', source: 'ign', platforms: [], ...fields });
+
+describe('GET /news/stream', () => {
+  it('pushes matching new items as events', async () => {
+    const { res, body } = await readStream(
+      '/api/v1/news/stream?platform=switch',
+      {},
+      text => text.includes('event: news'),
+      () => setTimeout(() => streamService.publish([
+        item('6710f0c2a1b2c3d4e5f60001', { platforms: ['pc'] }),
+        item('6710f0c2a1b2c3d4e5f60002', { platforms: ['switch'], titleTokens: ['item'] })
+      ]), 20)
+    );
+    expect(res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+    expect(body).toContain('retry: 5000');
+    expect(body).not.toContain('6710f0c2a1b2c3d4e5f60001');
+    const event = body.slice(body.indexOf('id: '));
+    expect(event).toBe(`id: 6710f0c2a1b2c3d4e5f60002\nevent: news\ndata: ${JSON.stringify(item('6710f0c2a1b2c3d4e5f60002', { platforms: ['switch'] }))}\n\n`);
+  });
+
+  it('replays missed items after Last-Event-ID', async () => {
+    const missed = jest.spyOn(streamService, 'missed').mockResolvedValue([item('6710f0c2a1b2c3d4e5f60004'), item('6710f0c2a1b2c3d4e5f60005')]);
+    const { body } = await readStream(
+      '/api/v1/news/stream?source=ign',
+      { 'Last-Event-ID': '6710f0c2a1b2c3d4e5f60003' },
+      text => text.includes('6710f0c2a1b2c3d4e5f60005')
+    );
+    expect(missed).toHaveBeenCalledWith('6710f0c2a1b2c3d4e5f60003', expect.objectContaining({ source: { $in: ['ign'] } }));
+    expect(body.indexOf('60004')).toBeLessThan(body.indexOf('60005'));
+  });
+
+  it('sends heartbeats', async () => {
+    const { body } = await readStream('/api/v1/news/stream', {}, text => text.includes(': heartbeat'));
+    expect(body).toContain(': heartbeat\n\n');
+  });
+
+  it('unsubscribes closed streams', async () => {
+    await readStream('/api/v1/news/stream', {}, text => text.includes('retry'));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(streamService.emitter.listenerCount('news')).toBe(0);
+  });
+});
+
+describe('matches', () => {
+  const { matches } = streamService;
+
+  it('applies category, source and platform filters', () => {
+    const news = item('1', { category: 'rumors', source: 'ign', platforms: ['xbox'] });
+    expect(matches(news, {})).toBe(true);
+    expect(matches(news, { category: 'update' })).toBe(false);
+    expect(matches(news, { source: { $nin: ['ign'] } })).toBe(false);
+    expect(matches(news, { source: { $in: ['ign', 'polygon'] }, platforms: ['xbox', 'pc'] })).toBe(true);
+    expect(matches(news, { platforms: ['switch'] })).toBe(false);
+  });
+});
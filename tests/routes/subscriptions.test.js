@@ -0,0 +1,160 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+process.env.WEBHOOK_RETRY_DELAY_MS = '1';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const routes = require('../../src/routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const webhookService = require('../../src/services/webhookService');
+const reviewService = require('../../src/services/reviewService');
+const Subscription = require('../../src/models/subscription');
+const WebhookDelivery = require('../../src/models/webhookDelivery');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1', routes);
+app.use(errorHandler);
+
+const api = request.agent(app).set('Authorization', 'Bearer test-admin-key');
+
+afterEach(() => jest.restoreAllMocks());
+
+const ID = '6710f0c2a1b2c3d4e5f60001';
+const GAME_ID = '6710f0c2a1b2c3d4e5f6aaaa';
+
+describe('POST /subscriptions', () => {
+  it('creates a subscription with resolved game filters', async () => {
+    jest.spyOn(reviewService, 'findGame').mockResolvedValue({ game: { _id: GAME_ID } });
+    const create = jest.spyOn(webhookService, 'createSubscription').mockImplementation(async input => ({ _id: ID, secret: 'generated', ...input }));
+    const res = await api.post('/api/v1/subscriptions').send({
+      url: 'https://hooks.example.com/news',
+      filters: { categories: ['update'], sources: ['ign'], keywords: ['zelda'], games: ['hollow-knight-silksong'] }
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.data.secret).toBe('generated');
+    expect(create.mock.calls[0][0].filters.games).toEqual([GAME_ID]);
+  });
+
+  it('rejects invalid URLs and filters', async () => {
+    jest.spyOn(reviewService, 'findGame').mockResolvedValue(null);
+    const res = await api.post('/api/v1/subscriptions').send({
+      url: 'ftp://hooks.example.com',
+      filters: { categories: ['gossip'], sources: ['nope'], keywords: 'zelda', games: ['unknown'] }
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.map(detail => detail.path)).toEqual([
+      'url', 'filters.categories', 'filters.sources', 'filters.keywords', 'filters.games'
+    ]);
+  });
+
+  it('rejects private targets', async () => {
+    const res = await api.post('/api/v1/subscriptions').send({ url: 'http://127.0.0.1:8080/hook' });
+    expect(res.status).toBe(403);
+    expect(res.body.error.message).toBe('Webhook URL resolves to a private address');
+  });
+});
+
+describe('subscription management', () => {
+  it('answers 404 for unknown subscriptions', async () => {
+    jest.spyOn(webhookService, 'getSubscription').mockResolvedValue(null);
+    const res = await api.get(`/api/v1/subscriptions/${ID}/deliveries`);
+    expect(res.status).toBe(404);
+  });
+
+  it('validates ids and PATCH fields', async () => {
+    expect((await api.get('/api/v1/subscriptions/abc')).status).toBe(400);
+    const res = await api.patch(`/api/v1/subscriptions/${ID}`).send({ active: 'yes' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0].path).toBe('active');
+  });
+
+  it('re-enables subscriptions', async () => {
+    const update = jest.spyOn(webhookService, 'updateSubscription').mockResolvedValue({ _id: ID, active: true });
+    const res = await api.patch(`/api/v1/subscriptions/${ID}`).send({ active: true });
+    expect(res.status).toBe(200);
+    expect(update).toHaveBeenCalledWith(ID, { active: true });
+  });
+
+  it('lists deliveries with pagination', async () => {
+    jest.spyOn(webhookService, 'getSubscription').mockResolvedValue({ _id: ID });
+    jest.spyOn(webhookService, 'getDeliveries').mockResolvedValue({ deliveries: [{ success: true }], total: 1 });
+    const res = await api.get(`/api/v1/subscriptions/${ID}/deliveries?limit=5`);
+    expect(res.status).toBe(200);
+    expect(res.body.pagination).toMatchObject({ current: 1, limit: 5, total: 1 });
+  });
+});
+
+describe('webhook delivery', () => {
+  const subscription = { _id: ID, url: 'http://93.184.216.34/hook', secret: 'a-very-secret-key', filters: {} };
+  const news = [{ _id: 'n1', title: 'Patch notes', category: 'update', source: 'ign', titleTokens: ['patch'] }];
+
+  beforeEach(() => {
+    jest.spyOn(WebhookDelivery, 'create').mockResolvedValue({});
+    jest.spyOn(Subscription, 'updateOne').mockReturnValue({ exec: async () => ({}) });
+  });
+
+  it('signs the payload and logs the delivery', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+    const result = await webhookService.deliver(subscription, 'news.created', news);
+    expect(result).toEqual({ success: true, attempts: 1, statusCode: 200 });
+    const [url, body, { headers }] = post.mock.calls[0];
+    expect(url).toBe(subscription.url);
+    expect(JSON.parse(body)).toMatchObject({ event: 'news.created', subscription: ID, data: news });
+    const expected = crypto.createHmac('sha256', subscription.secret).update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex');
+    expect(headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+    expect(WebhookDelivery.create).toHaveBeenCalledWith(expect.objectContaining({ subscription: ID, news: ['n1'], success: true }));
+  });
+
+  it('retries server errors but not client errors', async () => {
+    const failure = status => Object.assign(new Error(`Status ${status}`), { response: { status } });
+    jest.spyOn(Subscription, 'findOneAndUpdate').mockReturnValue({ exec: async () => ({ active: true, consecutiveFailures: 1 }) });
+    const post = jest.spyOn(axios, 'post')
+      .mockRejectedValueOnce(failure(503))
+      .mockResolvedValueOnce({ status: 204 });
+    expect(await webhookService.deliver(subscription, 'news.created', news)).toEqual({ success: true, attempts: 2, statusCode: 204 });
+    post.mockReset().mockRejectedValue(failure(410));
+    expect(await webhookService.deliver(subscription, 'news.created', news)).toEqual({ success: false, attempts: 1, statusCode: 410 });
+  });
+
+  it('does not retry with WEBHOOK_RETRIES=0', async () => {
+    let isolated;
+    process.env.WEBHOOK_RETRIES = '0';
+    jest.isolateModules(() => {
+      isolated = {
+        axios: require('axios'),
+        webhookService: require('../../src/services/webhookService'),
+        Subscription: require('../../src/models/subscription'),
+        WebhookDelivery: require('../../src/models/webhookDelivery')
+      };
+    });
+    delete process.env.WEBHOOK_RETRIES;
+    jest.spyOn(isolated.WebhookDelivery, 'create').mockResolvedValue({});
+    jest.spyOn(isolated.Subscription, 'findOneAndUpdate').mockReturnValue({ exec: async () => ({ active: true, consecutiveFailures: 1 }) });
+    const post = jest.spyOn(isolated.axios, 'post').mockRejectedValue(Object.assign(new Error('Status 503'), { response: { status: 503 } }));
+    expect(await isolated.webhookService.deliver(subscription, 'news.created', news)).toEqual({ success: false, attempts: 1, statusCode: 503 });
+    expect(post).toHaveBeenCalledTimes(1);
+  });
+
+  it('disables subscriptions after repeated failures', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue(Object.assign(new Error('Gone'), { response: { status: 410 } }));
+    jest.spyOn(Subscription, 'findOneAndUpdate').mockReturnValue({ exec: async () => ({ active: true, consecutiveFailures: 5 }) });
+    await webhookService.deliver(subscription, 'news.created', news);
+    expect(Subscription.updateOne).toHaveBeenCalledWith({ _id: ID }, { $set: expect.objectContaining({ active: false, disabledAt: expect.any(Date) }) });
+  });
+});
+
+describe('matches', () => {
+  const { matches } = webhookService;
+  const item = { title: 'Silksong release date', description: 'Team Cherry news', category: 'release', source: 'ign', games: [GAME_ID] };
+
+  it('requires every non-empty filter to match', () => {
+    expect(matches(item, {})).toBe(true);
+    expect(matches(item, { categories: ['release'], sources: ['ign', 'polygon'], keywords: ['cherry', 'zelda'], games: [GAME_ID] })).toBe(true);
+    expect(matches(item, { categories: ['update'] })).toBe(false);
+    expect(matches(item, { keywords: ['zelda'] })).toBe(false);
+    expect(matches(item, { games: ['6710f0c2a1b2c3d4e5f6bbbb'] })).toBe(false);
+  });
+});
@@ -0,0 +1,31 @@
+const News = require('../../src/models/news');
+const gameLinkService = require('../../src/services/gameLinkService');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('gameLinkService.getNews', () => {
+  const gameId = '6710f0c2a1b2c3d4e5f60718';
+
+  const spyNews = () => {
+    const query = { exec: jest.fn().mockResolvedValue([]) };
+    for (const method of ['sort', 'skip', 'limit', 'lean']) query[method] = jest.fn(() => query);
+    return {
+      find: jest.spyOn(News, 'find').mockReturnValue(query),
+      count: jest.spyOn(News, 'countDocuments').mockResolvedValue(0)
+    };
+  };
+
+  it('leaves out news of sources unavailable in the region', async () => {
+    const { find, count } = spyNews();
+    await gameLinkService.getNews(gameId, { page: 1, limit: 10, region: 'other' });
+    const query = { games: gameId, source: { $nin: expect.arrayContaining(['polygon', 'gamerant', 'thegamer']) } };
+    expect(find).toHaveBeenCalledWith(query);
+    expect(count).toHaveBeenCalledWith(query);
+  });
+
+  it('lists news of every source in their region', async () => {
+    const { find } = spyNews();
+    await gameLinkService.getNews(gameId, { page: 1, limit: 10, region: 'EU' });
+    expect(find).toHaveBeenCalledWith({ games: gameId });
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const axios = require('axios');
+const FeedStatus = require('../../src/models/feedStatus');
+const ingestionService = require('../../src/services/ingestionService');
+const newsService = require('../../src/services/newsService');
+const gameLinkService = require('../../src/services/gameLinkService');
+const newsController = require('../../src/controllers/newsController');
+const clusterService = require('../../src/services/clusterService');
+const reviewService = require('../../src/services/reviewService');
+const cacheService = require('../../src/services/cacheService');
+const webhookService = require('../../src/services/webhookService');
+
+const feed = { source: 'ign', kind: 'news', url: 'https://feeds.ign.com/ign/news' };
+const rss = '<?xml version="1.0"?><rss version="2.0"><channel><title>IGN</title>'
+  + '<item><title>Story</title><link>https://www.ign.com/articles/story</link><pubDate>Mon, 19 Oct 2026 09:00:00 GMT</pubDate></item>'
+  + '</channel></rss>';
+const headers = { etag: '"v2"', 'last-modified': 'Mon, 19 Oct 2026 09:00:00 GMT', 'cache-control': 'max-age=600' };
+
+let updateStatus;
+
+beforeEach(() => {
+  updateStatus = jest.spyOn(FeedStatus, 'updateOne').mockReturnValue({ exec: jest.fn().mockResolvedValue({}) });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('ingestionService validators', () => {
+  it('returns the validators of a fetched feed instead of saving them', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers, data: rss });
+    const result = await ingestionService.fetchFeed(feed);
+    expect(result.outcome).toBe('fetched');
+    expect(result.validators).toEqual({ etag: '"v2"', lastModified: headers['last-modified'], nextFetchAt: expect.any(Date) });
+    const [, update] = updateStatus.mock.calls[0];
+    expect(update.$set).not.toHaveProperty('etag');
+    expect(update.$set).not.toHaveProperty('nextFetchAt');
+
+    await ingestionService.saveValidators([result, { feed, items: [], outcome: 'failed' }]);
+    expect(updateStatus).toHaveBeenCalledTimes(2);
+    expect(updateStatus.mock.calls[1].slice(0, 2)).toEqual([{ source: 'ign', kind: 'news' }, { $set: result.validators }]);
+  });
+
+  it('saves the validators of a 304 at once', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ status: 304, headers, data: '' });
+    const result = await ingestionService.fetchFeed(feed, { url: feed.url, etag: '"v2"' });
+    expect(result.outcome).toBe('not-modified');
+    expect(updateStatus.mock.calls[0][1].$set).toMatchObject({ etag: '"v2"', nextFetchAt: expect.any(Date) });
+  });
+
+  it('saves the validators before delivering webhooks', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers, data: rss });
+    jest.spyOn(ingestionService, 'loadStatuses').mockResolvedValue(new Map());
+    jest.spyOn(gameLinkService, 'getMatcher').mockResolvedValue(null);
+    jest.spyOn(gameLinkService, 'link').mockImplementation(items => items);
+    jest.spyOn(newsService, 'upsertMany').mockResolvedValue({ inserted: 0, updated: 0, unchanged: 1, created: [] });
+    jest.spyOn(clusterService, 'assign').mockResolvedValue(0);
+    jest.spyOn(reviewService, 'ingest').mockResolvedValue({ games: 0, created: 0 });
+    jest.spyOn(cacheService, 'invalidate').mockResolvedValue(0);
+    const saveValidators = jest.spyOn(ingestionService, 'saveValidators');
+    jest.spyOn(webhookService, 'dispatch').mockRejectedValue(new Error('subscriber timed out'));
+    await expect(newsController.fetchNews()).rejects.toThrow('subscriber timed out');
+    expect(saveValidators).toHaveBeenCalled();
+  });
+
+  it('keeps the old validators when storing the items fails', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers, data: rss });
+    jest.spyOn(ingestionService, 'loadStatuses').mockResolvedValue(new Map());
+    jest.spyOn(gameLinkService, 'getMatcher').mockResolvedValue(null);
+    jest.spyOn(gameLinkService, 'link').mockImplementation(items => items);
+    jest.spyOn(newsService, 'upsertMany').mockRejectedValue(new Error('write failed'));
+    const saveValidators = jest.spyOn(ingestionService, 'saveValidators');
+    await expect(newsController.fetchNews()).rejects.toThrow('write failed');
+    expect(saveValidators).not.toHaveBeenCalled();
+  });
+});
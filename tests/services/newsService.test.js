@@ -0,0 +1,49 @@
+const News = require('../../src/models/news');
+const newsService = require('../../src/services/newsService');
+
+afterEach(() => jest.restoreAllMocks());
+
+const findStored = docs => jest.spyOn(News, 'find').mockReturnValue({
+  select: () => ({ lean: () => ({ exec: jest.fn().mockResolvedValue(docs) }) })
+});
+
+const item = (link, title) => ({ link, title, pubDate: new Date('2026-10-19T09:00:00Z'), source: 'ign', category: 'update' });
+
+describe('newsService.upsertMany', () => {
+  it('counts inserted, updated and unchanged items', async () => {
+    findStored([
+      { _id: 'a', ...item('https://ign.com/a', 'Same') },
+      { _id: 'b', ...item('https://ign.com/b', 'Old title') }
+    ]);
+    const bulkWrite = jest.spyOn(News, 'bulkWrite').mockResolvedValue({
+      upsertedIds: { 1: 'c' }, upsertedCount: 1, modifiedCount: 1, matchedCount: 1
+    });
+    const result = await newsService.upsertMany([
+      item('https://ign.com/a', 'Same'),
+      item('https://ign.com/b', 'New title'),
+      item('https://ign.com/c', 'Fresh')
+    ]);
+    expect(result).toMatchObject({ inserted: 1, updated: 1, unchanged: 1 });
+    expect(result.created).toEqual([{ ...item('https://ign.com/c', 'Fresh'), _id: 'c' }]);
+    const [operations] = bulkWrite.mock.calls[0];
+    expect(operations).toEqual([
+      { updateOne: { filter: { _id: 'b' }, update: { $set: { title: 'New title' } } } },
+      { updateOne: { filter: { link: 'https://ign.com/c' }, update: { $setOnInsert: item('https://ign.com/c', 'Fresh') }, upsert: true } }
+    ]);
+  });
+
+  it('stores a link listed twice once, and skips the write when nothing changed', async () => {
+    findStored([{ _id: 'a', ...item('https://ign.com/a', 'Second') }]);
+    const bulkWrite = jest.spyOn(News, 'bulkWrite');
+    const result = await newsService.upsertMany([item('https://ign.com/a', 'First'), item('https://ign.com/a', 'Second')]);
+    expect(result).toEqual({ inserted: 0, updated: 0, unchanged: 1, created: [] });
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it('does not report links another run inserted in between as created', async () => {
+    findStored([]);
+    jest.spyOn(News, 'bulkWrite').mockResolvedValue({ upsertedIds: {}, upsertedCount: 0, modifiedCount: 0, matchedCount: 1 });
+    const result = await newsService.upsertMany([item('https://ign.com/a', 'Raced')]);
+    expect(result).toEqual({ inserted: 0, updated: 0, unchanged: 1, created: [] });
+  });
+});
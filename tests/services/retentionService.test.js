@@ -0,0 +1,85 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const News = require('../../src/models/news');
+const Article = require('../../src/models/article');
+const retentionService = require('../../src/services/retentionService');
+const clusterService = require('../../src/services/clusterService');
+const cacheService = require('../../src/services/cacheService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const defaultPolicies = retentionService.policies;
+
+// News.find is answered with `docs`; returns the spy and the skip() spy
+const findNews = (...results) => {
+  const skip = jest.fn();
+  const find = jest.spyOn(News, 'find');
+  for (const docs of results) {
+    const query = { exec: jest.fn().mockResolvedValue(docs) };
+    for (const method of ['sort', 'select', 'lean']) query[method] = jest.fn(() => query);
+    query.skip = skip.mockImplementation(() => query);
+    find.mockReturnValueOnce(query);
+  }
+  return { find, skip };
+};
+
+let deleteNews;
+let invalidate;
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-10-19T00:00:00Z'));
+  deleteNews = jest.spyOn(News, 'deleteMany').mockImplementation(async ({ _id }) => ({ deletedCount: _id.$in.length }));
+  jest.spyOn(Article, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(clusterService, 'release').mockResolvedValue();
+  invalidate = jest.spyOn(cacheService, 'invalidate').mockResolvedValue(0);
+});
+
+afterEach(() => {
+  retentionService.policies = defaultPolicies;
+  jest.restoreAllMocks();
+});
+
+describe('retentionService.run', () => {
+  it('removes items older than maxAgeDays', async () => {
+    retentionService.policies = [{ maxAgeDays: 30 }];
+    const { find } = findNews([{ _id: 'a' }, { _id: 'b' }]);
+    const result = await retentionService.run();
+    expect(find).toHaveBeenCalledWith({ pubDate: { $lt: new Date(Date.now() - 30 * DAY_MS) } });
+    expect(result).toEqual({ removed: 2, policies: [{ policy: 'maxAgeDays=30', removed: 2 }] });
+  });
+
+  it('keeps the newest maxItems', async () => {
+    retentionService.policies = [{ maxItems: 100 }];
+    const { find, skip } = findNews([{ _id: 'a' }]);
+    const result = await retentionService.run();
+    expect(find).toHaveBeenCalledWith({});
+    expect(skip).toHaveBeenCalledWith(100);
+    expect(result.removed).toBe(1);
+  });
+
+  it('limits a policy to its source and category', async () => {
+    retentionService.policies = [{ source: 'kotaku', category: 'rumors', maxAgeDays: 14, maxItems: 50 }];
+    const { find } = findNews([{ _id: 'a' }], [{ _id: 'b' }, { _id: 'c' }]);
+    const result = await retentionService.run();
+    expect(find.mock.calls[0][0]).toEqual({ source: 'kotaku', category: 'rumors', pubDate: { $lt: expect.any(Date) } });
+    expect(find.mock.calls[1][0]).toEqual({ source: 'kotaku', category: 'rumors' });
+    expect(result.policies).toEqual([{ policy: 'source=kotaku category=rumors maxAgeDays=14 maxItems=50', removed: 3 }]);
+  });
+
+  it('deletes stored articles, releases clusters and invalidates cached news', async () => {
+    retentionService.policies = [{ maxItems: 10 }];
+    const docs = [{ _id: 'a', cluster: 'x' }];
+    findNews(docs);
+    await retentionService.run();
+    expect(deleteNews).toHaveBeenCalledWith({ _id: { $in: ['a'] } });
+    expect(Article.deleteMany).toHaveBeenCalledWith({ news: { $in: ['a'] } });
+    expect(clusterService.release).toHaveBeenCalledWith(docs);
+    expect(invalidate).toHaveBeenCalledWith(['news:*']);
+  });
+
+  it('leaves the cache alone when nothing was removed', async () => {
+    retentionService.policies = [{ maxItems: 10 }];
+    findNews([]);
+    expect(await retentionService.run()).toEqual({ removed: 0, policies: [{ policy: 'maxItems=10', removed: 0 }] });
+    expect(invalidate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,32 @@
+const News = require('../../src/models/news');
+const Review = require('../../src/models/review');
+const reviewService = require('../../src/services/reviewService');
+
+afterEach(() => jest.restoreAllMocks());
+
+const chain = result => {
+  const query = { exec: jest.fn().mockResolvedValue(result) };
+  for (const method of ['sort', 'select', 'limit', 'lean']) query[method] = jest.fn(() => query);
+  return query;
+};
+
+describe('reviewService.getGame', () => {
+  const game = { _id: '6710f0c2a1b2c3d4e5f60718', slug: 'astro-bot', title: 'Astro Bot' };
+
+  beforeEach(() => {
+    jest.spyOn(reviewService, 'findGame').mockResolvedValue({ game, renamed: false });
+    jest.spyOn(Review, 'find').mockReturnValue(chain([]));
+  });
+
+  it('leaves out news of sources unavailable in the region', async () => {
+    const find = jest.spyOn(News, 'find').mockReturnValue(chain([]));
+    await reviewService.getGame('astro-bot', { region: 'other' });
+    expect(find).toHaveBeenCalledWith({ games: game._id, source: { $nin: expect.arrayContaining(['polygon', 'gamerant', 'thegamer']) } });
+  });
+
+  it('lists news of every source in their region', async () => {
+    const find = jest.spyOn(News, 'find').mockReturnValue(chain([]));
+    await reviewService.getGame('astro-bot', { region: 'EU' });
+    expect(find).toHaveBeenCalledWith({ games: game._id });
+  });
+});
@@ -0,0 +1,66 @@
+const { sleep, mapWithConcurrency, withTimeout, retry, isRetryable } = require('../../src/utils/async');
+
+describe('mapWithConcurrency', () => {
+  it('never runs more than the limit at once and keeps the input order', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleep(ms);
+      running--;
+      return index;
+    });
+    expect(peak).toBe(2);
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('handles an empty list', async () => {
+    await expect(mapWithConcurrency([], 4, async () => 1)).resolves.toEqual([]);
+  });
+});
+
+describe('withTimeout', () => {
+  it('rejects slow promises with ETIMEDOUT', async () => {
+    await expect(withTimeout(sleep(50), 5)).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+  });
+
+  it('passes fast results through', async () => {
+    await expect(withTimeout(Promise.resolve('ok'), 50)).resolves.toBe('ok');
+  });
+});
+
+describe('retry', () => {
+  it('retries until the call succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new Error('ECONNRESET'))
+      .mockResolvedValueOnce('items');
+    await expect(retry(fn, { retries: 2, baseDelay: 1 })).resolves.toBe('items');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after the last retry and reports the attempts', async () => {
+    const fn = jest.fn().mockRejectedValue(new Error('down'));
+    await expect(retry(fn, { retries: 2, baseDelay: 1 })).rejects.toMatchObject({ message: 'down', attempts: 3 });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('stops on errors that shouldRetry rejects', async () => {
+    const fn = jest.fn().mockRejectedValue(new Error('Status code 404'));
+    await expect(retry(fn, { retries: 2, baseDelay: 1, shouldRetry: () => false })).rejects.toMatchObject({ attempts: 1 });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('isRetryable', () => {
+  const failure = status => Object.assign(new Error(`Status ${status}`), { response: { status } });
+
+  it('retries network errors, timeouts, server errors and throttling', () => {
+    expect(isRetryable(new Error('socket hang up'))).toBe(true);
+    for (const status of [408, 429, 500, 503]) expect(isRetryable(failure(status))).toBe(true);
+  });
+
+  it('gives up on other client errors', () => {
+    for (const status of [400, 404, 410]) expect(isRetryable(failure(status))).toBe(false);
+  });
+});
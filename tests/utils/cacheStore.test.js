@@ -0,0 +1,57 @@
+const { LruStore, MongoStore } = require('../../src/utils/cacheStore');
+const CacheEntry = require('../../src/models/cacheEntry');
+
+afterEach(() => jest.restoreAllMocks());
+
+const entry = (tags, fields) => ({ value: 'v', tags, freshUntil: Date.now() + 1000, expiresAt: Date.now() + 2000, ...fields });
+
+describe('LruStore', () => {
+  it('evicts the least recently read entry', async () => {
+    const store = new LruStore({ maxEntries: 2 });
+    await store.set('a', entry([]));
+    await store.set('b', entry([]));
+    await store.get('a');
+    await store.set('c', entry([]));
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('a')).toBeDefined();
+    expect(await store.size()).toBe(2);
+  });
+
+  it('does not return expired entries', async () => {
+    const store = new LruStore();
+    await store.set('a', entry([], { expiresAt: Date.now() - 1 }));
+    expect(await store.get('a')).toBeUndefined();
+    expect(await store.size()).toBe(0);
+  });
+
+  it('invalidates by exact and wildcard tags', async () => {
+    const store = new LruStore();
+    await store.set('latest', entry(['news:latest']));
+    await store.set('feed', entry(['news:feed']));
+    await store.set('top', entry(['games:top']));
+    await store.set('newsroom', entry(['newsroom']));
+    expect(await store.deleteByTags(['games:top'])).toBe(1);
+    expect(await store.deleteByTags(['news:*'])).toBe(2);
+    expect([...store.entries.keys()]).toEqual(['newsroom']);
+  });
+});
+
+describe('MongoStore', () => {
+  it('stores values as JSON', async () => {
+    const updateOne = jest.spyOn(CacheEntry, 'updateOne').mockReturnValue({ exec: async () => ({}) });
+    await new MongoStore().set('a', entry(['news:latest'], { value: { data: [1] }, freshUntil: 1000, expiresAt: 2000 }));
+    expect(updateOne).toHaveBeenCalledWith(
+      { key: 'a' },
+      { $set: { value: '{"data":[1]}', tags: ['news:latest'], freshUntil: new Date(1000), expiresAt: new Date(2000) } },
+      { upsert: true }
+    );
+    jest.spyOn(CacheEntry, 'findOne').mockReturnValue({ lean: () => ({ exec: async () => ({ value: '{"data":[1]}', tags: [], freshUntil: new Date(1000), expiresAt: new Date(2000) }) }) });
+    expect(await new MongoStore().get('a')).toEqual({ value: { data: [1] }, tags: [], freshUntil: 1000, expiresAt: 2000 });
+  });
+
+  it('turns wildcard tags into prefix queries', async () => {
+    const deleteMany = jest.spyOn(CacheEntry, 'deleteMany').mockReturnValue({ exec: async () => ({ deletedCount: 3 }) });
+    expect(await new MongoStore().deleteByTags(['news:*', 'games:top'])).toBe(3);
+    expect(deleteMany).toHaveBeenCalledWith({ $or: [{ tags: { $regex: '^news:' } }, { tags: 'games:top' }] });
+  });
+});
@@ -0,0 +1,49 @@
+const rules = require('../../src/config/classifier');
+const { createClassifier } = require('../../src/utils/classifier');
+
+const { classify, version } = createClassifier(rules);
+
+describe('classifier', () => {
+  it('lets the strongest mapped tag pick the category', () => {
+    const result = classify({ title: 'Nintendo Announces Community Poll for Next Mario Kart Track' });
+    expect(result.tags).toEqual(expect.arrayContaining(['poll', 'announcement']));
+    expect(result.category).toBe('polls');
+    expect(result.confidence).toBeGreaterThan(0.9);
+  });
+
+  it('assigns several tags to one article', () => {
+    const result = classify({
+      title: 'PS5 Pro Review: The Console Sony Should Have Launched First',
+      description: 'Our verdict on the new hardware, 8/10.'
+    });
+    expect(result.tags).toEqual(expect.arrayContaining(['review', 'hardware']));
+    expect(result.category).toBe('recommendations');
+  });
+
+  it('tags deals and esports that have no legacy category', () => {
+    expect(classify({ title: 'Elden Ring Is 50% Off in the Steam Summer Sale' }).tags).toContain('deal');
+    expect(classify({ title: 'Team Liquid Wins the Valorant Champions Grand Final' }).tags).toContain('esports');
+  });
+
+  it('lets negative weights veto a tag', () => {
+    expect(classify({ title: 'Rumor Debunked: Studio Denies Half-Life 3 Leak' }).tags).not.toContain('rumor');
+  });
+
+  it('weights the description below the title', () => {
+    const inTitle = classify({ title: 'Trailer shows the new boss' });
+    const inDescription = classify({ title: 'A first look at the new boss', description: 'Watch the trailer below' });
+    expect(inTitle.scores.trailer).toBeGreaterThan(inDescription.scores.trailer);
+  });
+
+  it('uses the feed preset tags and fallback category', () => {
+    const result = classify({ title: 'Astro Bot' }, { presetTags: ['review'], fallback: 'update' });
+    expect(result).toMatchObject({ tags: ['review'], category: 'recommendations', confidence: 1 });
+    expect(classify({ title: 'Astro Bot' }, { fallback: 'update' })).toMatchObject({ tags: [], category: 'update', confidence: 0 });
+  });
+
+  it('changes its version when the rules change', () => {
+    const changed = createClassifier({ ...rules, threshold: 2 });
+    expect(changed.version).not.toBe(version);
+    expect(createClassifier(rules).version).toBe(version);
+  });
+});
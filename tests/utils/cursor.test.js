@@ -0,0 +1,19 @@
+const { encodeCursor, decodeCursor } = require('../../src/utils/cursor');
+
+describe('cursors', () => {
+  const item = { pubDate: '2026-10-19T09:00:00.000Z', _id: 'a'.repeat(24) };
+
+  it('decodes what it encodes', () => {
+    const cursor = encodeCursor(item);
+    expect(cursor).toMatch(/^[\w-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ pubDate: new Date(item.pubDate), id: item._id });
+  });
+
+  it.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['an invalid date', Buffer.from(JSON.stringify({ d: 'someday', id: 'a'.repeat(24) })).toString('base64')],
+    ['an invalid id', Buffer.from(JSON.stringify({ d: item.pubDate, id: '42' })).toString('base64')]
+  ])('rejects %s', (label, cursor) => {
+    expect(decodeCursor(cursor)).toBeNull();
+  });
+});
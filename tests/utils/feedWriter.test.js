@@ -0,0 +1,104 @@
+const express = require('express');
+const { toRss, toAtom, toJsonFeed, negotiateFormat } = require('../../src/utils/feedWriter');
+const { PLACEHOLDER_IMAGE } = require('../../src/utils/feedParser');
+
+const meta = {
+  title: 'Gaming News',
+  description: 'Latest gaming news',
+  link: 'https://api.example.com',
+  selfUrl: 'https://api.example.com/api/news/feed.rss?source=ign',
+  updated: new Date('2026-10-19T10:00:00Z')
+};
+
+const items = [
+  {
+    title: 'Tom & Jerry <Remastered> Review',
+    description: 'A "faithful" remake',
+    link: 'https://www.ign.com/articles/tom-jerry-review?a=1&b=2',
+    pubDate: new Date('2026-10-19T09:00:00Z'),
+    image: 'https://assets.ign.com/cover.png?width=1280',
+    author: 'Jane Doe',
+    category: 'recommendations',
+    tags: ['review', 'recommendation'],
+    sourceInfo: { id: 'ign', name: 'IGN', url: 'https://www.ign.com/' }
+  },
+  {
+    title: 'Patch 1.2 notes',
+    link: 'https://www.gamespot.com/articles/patch',
+    pubDate: new Date('2026-10-18T09:00:00Z'),
+    image: PLACEHOLDER_IMAGE,
+    author: 'Unknown',
+    category: 'update',
+    tags: [],
+    sourceInfo: { id: 'gamespot', name: 'GameSpot', url: 'https://www.gamespot.com/' }
+  }
+];
+
+describe('toRss', () => {
+  const xml = toRss(items, meta);
+
+  it('escapes text and attribute values', () => {
+    expect(xml).toContain('<title>Tom &amp; Jerry &lt;Remastered&gt; Review</title>');
+    expect(xml).toContain('<link>https://www.ign.com/articles/tom-jerry-review?a=1&amp;b=2</link>');
+  });
+
+  it('publishes image, author, labels and source attribution', () => {
+    expect(xml).toContain('<enclosure url="https://assets.ign.com/cover.png?width=1280" length="0" type="image/png"/>');
+    expect(xml).toContain('<dc:creator>Jane Doe</dc:creator>');
+    expect(xml).toContain('<category>recommendations</category><category>review</category>');
+    expect(xml).toContain('<source url="https://www.ign.com/">IGN</source>');
+  });
+
+  it('leaves out placeholder images and unknown authors', () => {
+    const patch = xml.slice(xml.indexOf('Patch 1.2'));
+    expect(patch).not.toContain('<enclosure');
+    expect(patch).not.toContain('<dc:creator>');
+  });
+});
+
+describe('toAtom', () => {
+  const xml = toAtom(items, meta);
+
+  it('writes entries with enclosure links and sources', () => {
+    expect(xml).toContain('<link rel="self" type="application/atom+xml" href="https://api.example.com/api/news/feed.rss?source=ign"/>');
+    expect(xml).toContain('<published>2026-10-19T09:00:00.000Z</published>');
+    expect(xml).toContain('<link rel="enclosure" type="image/png" href="https://assets.ign.com/cover.png?width=1280"/>');
+    expect(xml).toContain('<category term="review"/>');
+    expect(xml).toContain('<source><id>https://www.ign.com/</id><title>IGN</title>');
+  });
+});
+
+describe('toJsonFeed', () => {
+  const feed = JSON.parse(toJsonFeed(items, meta));
+
+  it('follows JSON Feed 1.1', () => {
+    expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(feed.feed_url).toBe(meta.selfUrl);
+    expect(feed.items[0]).toMatchObject({
+      id: items[0].link,
+      url: items[0].link,
+      image: items[0].image,
+      attachments: [{ url: items[0].image, mime_type: 'image/png' }],
+      authors: [{ name: 'Jane Doe' }],
+      tags: ['recommendations', 'review', 'recommendation'],
+      date_published: '2026-10-19T09:00:00.000Z',
+      _source: items[0].sourceInfo
+    });
+    expect(feed.items[1]).not.toHaveProperty('image');
+    expect(feed.items[1]).not.toHaveProperty('authors');
+  });
+});
+
+describe('negotiateFormat', () => {
+  const request = accept => Object.assign(Object.create(express.request), { headers: { accept } });
+
+  it.each([
+    ['application/rss+xml', 'rss'],
+    ['application/atom+xml, application/xml;q=0.9', 'atom'],
+    ['application/feed+json', 'json'],
+    ['application/json', null],
+    ['*/*', null]
+  ])('maps %s to %s', (accept, format) => {
+    expect(negotiateFormat(request(accept))).toBe(format);
+  });
+});
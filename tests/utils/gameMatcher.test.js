@@ -0,0 +1,47 @@
+const { createGameMatcher } = require('../../src/utils/gameMatcher');
+
+const matcher = createGameMatcher([
+  { id: 'silksong', names: ['Hollow Knight: Silksong', 'Silksong'], listed: true },
+  { id: 'hollow-knight', names: ['Hollow Knight'] },
+  { id: 'elden-ring', names: ['Elden Ring'] },
+  { id: 'nightreign', names: ['Elden Ring Nightreign', 'Nightreign'], listed: true },
+  { id: 'ff7', names: ['Final Fantasy VII Rebirth'] },
+  { id: 'witcher-4', names: ['The Witcher 4'], listed: true },
+  { id: 'control', names: ['Control'] },
+  { id: 'gta-6', names: ['Grand Theft Auto VI', 'GTA 6'], listed: true },
+  { id: 'ff10', names: ['Final Fantasy X'] },
+  { id: 'mega-man-10', names: ['Mega Man 10'] },
+  { id: 'series-10', names: ['Series 10'] }
+]);
+
+describe('createGameMatcher', () => {
+  it('finds every game a headline mentions', () => {
+    expect(matcher.match('Silksong outsold Hollow Knight in its first week')).toEqual(['silksong', 'hollow-knight']);
+    expect(matcher.match('GTA VI and The Witcher 4 headline the showcase')).toEqual(['gta-6', 'witcher-4']);
+  });
+
+  it('prefers the longest name', () => {
+    expect(matcher.match('Hollow Knight: Silksong release date')).toEqual(['silksong']);
+    expect(matcher.match('Elden Ring Nightreign gets a new boss')).toEqual(['nightreign']);
+  });
+
+  it('ignores spelling differences', () => {
+    expect(matcher.match('Final Fantasy 7 Rebirth PC port announced')).toEqual(['ff7']);
+    expect(matcher.match('Witcher 4 enters full production')).toEqual(['witcher-4']);
+  });
+
+  it('reads a lone X or V in headlines as a word', () => {
+    expect(matcher.match('Xbox Series X sales pass 30 million')).toEqual([]);
+    expect(matcher.match('Mega Man X Legacy Collection is on sale')).toEqual([]);
+    expect(matcher.match('Final Fantasy X HD Remaster hits Switch')).toEqual(['ff10']);
+    expect(matcher.match('Final Fantasy 10 speedrun record broken')).toEqual(['ff10']);
+  });
+
+  it('requires whole words', () => {
+    expect(matcher.match('Elden Ringo is not a game')).toEqual([]);
+  });
+
+  it('skips one-word names that are not listed', () => {
+    expect(matcher.match('Sony takes control of the studio')).toEqual([]);
+  });
+});
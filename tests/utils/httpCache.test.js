@@ -0,0 +1,49 @@
+const { parseCacheControl, getFreshnessMs, lastModifiedOf } = require('../../src/utils/httpCache');
+
+describe('parseCacheControl', () => {
+  it('reads flags and values', () => {
+    expect(parseCacheControl('public, Max-Age=300, stale-while-revalidate="60"')).toEqual({
+      public: true,
+      'max-age': '300',
+      'stale-while-revalidate': '60'
+    });
+  });
+});
+
+describe('getFreshnessMs', () => {
+  it('uses max-age minus the age already spent in caches', () => {
+    expect(getFreshnessMs({ 'cache-control': 'max-age=600', age: '100' })).toBe(500000);
+  });
+
+  it('prefers s-maxage for the shared fetcher', () => {
+    expect(getFreshnessMs({ 'cache-control': 'max-age=60, s-maxage=900' })).toBe(900000);
+  });
+
+  it('does not defer responses marked no-cache or no-store', () => {
+    expect(getFreshnessMs({ 'cache-control': 'no-cache' }, '60')).toBe(0);
+    expect(getFreshnessMs({ 'cache-control': 'no-store, max-age=600' })).toBe(0);
+  });
+
+  it('falls back to Expires relative to Date', () => {
+    expect(getFreshnessMs({ date: 'Mon, 19 Oct 2026 10:00:00 GMT', expires: 'Mon, 19 Oct 2026 10:05:00 GMT' })).toBe(300000);
+  });
+
+  it('falls back to the feed ttl in minutes', () => {
+    expect(getFreshnessMs({}, '15')).toBe(900000);
+    expect(getFreshnessMs({})).toBe(0);
+  });
+});
+
+describe('lastModifiedOf', () => {
+  it('picks the newest pubDate of a list or an item', () => {
+    const items = [{ pubDate: '2026-10-18T08:00:00Z' }, { pubDate: new Date('2026-10-19T09:30:00Z') }, { title: 'undated' }];
+    expect(lastModifiedOf(items)).toEqual(new Date('2026-10-19T09:30:00Z'));
+    expect(lastModifiedOf({ pubDate: '2026-10-18T08:00:00Z' })).toEqual(new Date('2026-10-18T08:00:00Z'));
+  });
+
+  it('returns null without dates', () => {
+    expect(lastModifiedOf([])).toBeNull();
+    expect(lastModifiedOf({ games: [] })).toBeNull();
+    expect(lastModifiedOf(undefined)).toBeNull();
+  });
+});
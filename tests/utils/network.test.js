@@ -0,0 +1,15 @@
+const { isPrivateAddress } = require('../../src/utils/network');
+
+describe('isPrivateAddress', () => {
+  it.each([
+    '127.0.0.1', '10.20.30.40', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+    '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+    '::1', '::', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '[::ffff:7f00:1]', 'localhost'
+  ])('blocks %s', address => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(['8.8.8.8', '172.32.0.1', '151.101.1.69', '2606:4700:4700::1111', '::ffff:8.8.8.8'])('allows %s', address => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
@@ -0,0 +1,34 @@
+const { PLATFORMS, detectPlatforms } = require('../../src/utils/platforms');
+
+describe('detectPlatforms', () => {
+  it('reads platforms from the title and description', () => {
+    expect(detectPlatforms({ title: 'Elden Ring Nightreign on PS5 and Xbox Series X', description: 'Also out on Steam' }))
+      .toEqual(['playstation', 'xbox', 'pc']);
+    expect(detectPlatforms({ title: 'Switch 2 sales', description: 'Nintendo eShop charts' })).toEqual(['switch']);
+    expect(detectPlatforms({ title: 'Genshin Impact update', description: 'Coming to iOS and Android' })).toEqual(['mobile']);
+  });
+
+  it('does not take common words for platforms', () => {
+    expect(detectPlatforms({ title: 'Studio switches to Unreal Engine 5', description: 'A mobilized team' })).toEqual([]);
+  });
+
+  it('reads RSS and Atom feed categories', () => {
+    expect(detectPlatforms({ title: 'Weekly deals' }, { categories: ['Nintendo Switch', { $: { term: 'PC' } }] }))
+      .toEqual(['switch', 'pc']);
+    expect(detectPlatforms({ title: 'Weekly deals' }, { categories: 'Xbox Series X|S' })).toEqual(['xbox']);
+  });
+
+  it('reads platform sections of the link', () => {
+    expect(detectPlatforms({ title: 'Weekly deals', link: 'https://www.example.com/switch/news/weekly-deals' })).toEqual(['switch']);
+    expect(detectPlatforms({ title: 'Weekly deals', link: 'not a url' })).toEqual([]);
+  });
+
+  it('applies the platforms of single-platform outlets', () => {
+    expect(detectPlatforms({ title: 'The best mods this week', source: 'pcgamer' })).toEqual(['pc']);
+  });
+
+  it('only returns known platform ids', () => {
+    const found = detectPlatforms({ title: 'PS5, Xbox, Switch 2, PC and iPhone' });
+    expect(found).toEqual(PLATFORMS);
+  });
+});
@@ -0,0 +1,42 @@
+const { MemoryStore, MongoStore } = require('../../src/utils/rateLimitStore');
+const RateLimit = require('../../src/models/rateLimit');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('MemoryStore', () => {
+  it('counts per key within aligned windows', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000010000);
+    const store = new MemoryStore();
+    expect(await store.increment('a', 60000)).toEqual({ count: 1, resetAt: new Date(1700000040000) });
+    expect((await store.increment('a', 60000)).count).toBe(2);
+    expect((await store.increment('b', 60000)).count).toBe(1);
+    now.mockReturnValue(1700000040000);
+    expect(await store.increment('a', 60000)).toEqual({ count: 1, resetAt: new Date(1700000100000) });
+    expect(await store.entries()).toEqual([{ key: 'a', count: 1, resetAt: new Date(1700000100000) }]);
+    await store.reset('a');
+    expect(await store.entries()).toEqual([]);
+  });
+});
+
+describe('MongoStore', () => {
+  it('increments the window document of the key', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1700000010000);
+    const findOneAndUpdate = jest.spyOn(RateLimit, 'findOneAndUpdate')
+      .mockReturnValue({ exec: async () => ({ count: 3, resetAt: new Date(1700000040000) }) });
+    expect(await new MongoStore().increment('a', 60000)).toEqual({ count: 3, resetAt: new Date(1700000040000) });
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { key: 'a', windowStart: new Date(1699999980000) },
+      { $inc: { count: 1 }, $setOnInsert: { resetAt: new Date(1700000040000) } },
+      { upsert: true, new: true, lean: true }
+    );
+  });
+
+  it('retries once when a concurrent upsert created the window', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const findOneAndUpdate = jest.spyOn(RateLimit, 'findOneAndUpdate')
+      .mockReturnValueOnce({ exec: async () => { throw duplicate; } })
+      .mockReturnValueOnce({ exec: async () => ({ count: 2, resetAt: new Date() }) });
+    expect((await new MongoStore().increment('a', 60000)).count).toBe(2);
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+});
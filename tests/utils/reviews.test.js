@@ -0,0 +1,72 @@
+const { extractScore, normalizeScore, gameTitle, slugify, gameKey } = require('../../src/utils/reviews');
+
+describe('extractScore', () => {
+  it.each([
+    ['The verdict: 8/10, a worthy sequel.', { score: 8, scale: 10 }],
+    ['We gave it 9.5 out of 10', { score: 9.5, scale: 10 }],
+    ['Score: 85/100', { score: 85, scale: 100 }],
+    ['Four and a half... 4,5 stars', { score: 4.5, scale: 5 }],
+    ['Rated 7 by our reviewer', { score: 7, scale: 10 }],
+    ['Score: 88', { score: 88, scale: 100 }]
+  ])('reads %s', (text, expected) => {
+    expect(extractScore(text)).toEqual(expected);
+  });
+
+  it.each([
+    'Servers run 24/7 since the 10/19 update',
+    'A fine 11/10 meme',
+    'No score in this snippet',
+    undefined
+  ])('finds no score in %s', text => {
+    expect(extractScore(text)).toBeNull();
+  });
+});
+
+describe('normalizeScore', () => {
+  it('brings every scale to one decimal out of 10', () => {
+    expect(normalizeScore(8, 10)).toBe(8);
+    expect(normalizeScore(87, 100)).toBe(8.7);
+    expect(normalizeScore(4.5, 5)).toBe(9);
+    expect(normalizeScore(null, 10)).toBeNull();
+  });
+});
+
+describe('gameTitle', () => {
+  it.each([
+    ['Elden Ring Review', 'Elden Ring'],
+    ['Metaphor: ReFantazio Review - A Modern Classic', 'Metaphor: ReFantazio'],
+    ['Review: Astro Bot (PS5)', 'Astro Bot'],
+    ['Hades 2 Review in Progress', 'Hades 2'],
+    ['Silent Hill 2 – Review', 'Silent Hill 2']
+  ])('takes the game from %s', (headline, title) => {
+    expect(gameTitle(headline)).toBe(title);
+  });
+});
+
+describe('slugify', () => {
+  it('keeps the title readable', () => {
+    expect(slugify('Final Fantasy VII Rebirth')).toBe('final-fantasy-vii-rebirth');
+    expect(slugify('Pokémon Legends: Z-A')).toBe('pokemon-legends-z-a');
+    expect(slugify('Baldur’s Gate 3™')).toBe('baldurs-gate-3');
+  });
+});
+
+describe('gameKey', () => {
+  it('matches the same game across outlets', () => {
+    expect(gameKey('Final Fantasy VII Rebirth')).toBe(gameKey('Final Fantasy 7 Rebirth'));
+    expect(gameKey('Pokémon Legends: Z-A')).toBe(gameKey('Pokemon Legends Z-A'));
+    expect(gameKey('Baldur’s Gate 3')).toBe(gameKey("Baldur's Gate 3"));
+    expect(gameKey('Ratchet & Clank™')).toBe('ratchet-and-clank');
+  });
+
+  it('reads V and X as numerals only at the end of a title', () => {
+    expect(gameKey('Grand Theft Auto V')).toBe(gameKey('Grand Theft Auto 5'));
+    expect(gameKey('Final Fantasy X')).toBe('final-fantasy-10');
+    expect(gameKey('V Rising')).toBe('v-rising');
+    expect(gameKey('X-Men Legends')).toBe('x-men-legends');
+  });
+
+  it('keeps expansions apart from their game', () => {
+    expect(gameKey('Elden Ring: Shadow of the Erdtree')).not.toBe(gameKey('Elden Ring'));
+  });
+});
@@ -0,0 +1,32 @@
+const { tokenize, extractEntities, compareTitles } = require('../../src/utils/titleSimilarity');
+
+const features = title => ({ titleTokens: tokenize(title), entities: extractEntities(title) });
+const compare = (a, b) => compareTitles(features(a), features(b));
+
+describe('tokenize', () => {
+  it('drops stopwords and possessives and keeps numbers', () => {
+    expect(tokenize("Nintendo's Switch 2 Is Getting a New Mario Kart")).toEqual(['nintendo', 'switch', '2', 'getting', 'mario', 'kart']);
+  });
+});
+
+describe('compareTitles', () => {
+  it.each([
+    ['Elden Ring Nightreign Release Date Announced', 'Elden Ring Nightreign Launches May 30, FromSoftware Confirms'],
+    ['Nintendo Switch 2 Price Revealed at $449', 'Switch 2 Will Cost $449, Nintendo Confirms'],
+    ['GTA 6 Delayed to 2026', 'Rockstar Delays GTA 6 to 2026'],
+    ['Hollow Knight Silksong Release Date Announced', 'Hollow Knight Silksong Release Date Announced at Nintendo Direct']
+  ])('matches "%s" with "%s"', (a, b) => {
+    expect(compare(a, b).match).toBe(true);
+  });
+
+  it.each([
+    ['Hades 2 Release Date Announced', 'Hollow Knight Silksong Release Date Announced'],
+    ['Best PS5 Deals This Week', 'PS5 Pro Teardown Shows New Cooling Design'],
+    ['Call of Duty Black Ops 7 revealed', 'Call of Duty Black Ops 6 season 3 update'],
+    ['Grand Theft Auto 6 trailer 3', 'Grand Theft Auto 6 price leak'],
+    ['Zelda Tears of the Kingdom speedrun record broken', 'Zelda Tears of the Kingdom amiibo restock'],
+    ['Hollow Knight Silksong sells 1 million', 'Hollow Knight Silksong patch fixes difficulty']
+  ])('keeps "%s" apart from "%s"', (a, b) => {
+    expect(compare(a, b).match).toBe(false);
+  });
+});